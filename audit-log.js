@@ -0,0 +1,257 @@
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+
+// Actions recorded by the admin, matching their console log tags
+const ACTIONS = ['CREATE', 'UPDATE', 'DELETE', 'RESTORE', 'UPLOAD', 'REORDER', 'THEME', 'SETTINGS', 'REDIRECT', 'MENU', 'SETUP', 'LOGIN'];
+
+// Fields of an entry, in the order they are written and exported
+const FIELDS = ['time', 'action', 'user', 'ip', 'target', 'summary', 'before', 'after'];
+
+/**
+ * Hash a value for the before/after fields of an entry
+ * @param {string|Buffer|Object|null} value - File content, or data that is hashed as JSON
+ * @returns {string|null} SHA-256 hex digest, or null for a missing value
+ */
+function hashValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const data = typeof value === 'string' || Buffer.isBuffer(value) ? value : JSON.stringify(value);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Check whether an entry matches query filters
+ * @param {Object} entry - Audit entry
+ * @param {Object} filters - { action, user, from, to, q }
+ */
+function matchesFilters(entry, filters) {
+  if (filters.action && entry.action !== filters.action) {
+    return false;
+  }
+
+  if (filters.user && !String(entry.user || '').toLowerCase().includes(filters.user.toLowerCase())) {
+    return false;
+  }
+
+  // Dates are YYYY-MM-DD and include the whole day (UTC)
+  if (filters.from && entry.time < filters.from) {
+    return false;
+  }
+
+  if (filters.to && entry.time.slice(0, 10) > filters.to) {
+    return false;
+  }
+
+  if (filters.q) {
+    const text = [entry.target, entry.summary, entry.ip].join(' ').toLowerCase();
+    if (!text.includes(filters.q.toLowerCase())) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * AuditLog - Append-only record of changes made in the admin
+ * Each entry is one JSON line: { time, action, user, ip, target, summary, before, after },
+ * where `before` and `after` are SHA-256 hashes of the changed file or settings, so a
+ * change can be matched against backups and revisions without copying the content.
+ * When the log grows past `maxBytes` it is renamed to audit.1.jsonl (older logs move up
+ * to audit.2.jsonl and so on) and the oldest beyond `maxFiles` is deleted.
+ */
+class AuditLog {
+  /**
+   * @param {string} logPath - Path of the current log file
+   * @param {number} [maxBytes] - Size at which the log is rotated
+   * @param {number} [maxFiles] - Rotated logs kept besides the current one
+   */
+  constructor(logPath, maxBytes = 5 * 1024 * 1024, maxFiles = 5) {
+    this.logPath = logPath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.size = null; // Size of the current log, read on the first write
+    this.queue = Promise.resolve(); // Writes run one at a time so lines and rotations never interleave
+  }
+
+  /**
+   * Hash the current content of a file
+   * @param {string} filePath - File to hash
+   * @returns {Promise<string|null>} SHA-256 hex digest, or null if the file doesn't exist
+   */
+  async hashFile(filePath) {
+    try {
+      return hashValue(await fsp.readFile(filePath));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Append an entry
+   * Failures are logged rather than thrown, so a full disk never blocks the change itself
+   * @param {Object} entry
+   * @param {string} entry.action - What happened, e.g. 'UPDATE' (matches the console log tag)
+   * @param {string|null} entry.user - Email of the user who did it
+   * @param {string|null} entry.ip - Request IP address
+   * @param {string} entry.target - What was changed, e.g. a file path or setting name
+   * @param {string} [entry.summary] - Human-readable description
+   * @param {string|null} [entry.before] - Hash of the target before the change
+   * @param {string|null} [entry.after] - Hash of the target after the change
+   * @returns {Promise<void>}
+   */
+  record(entry) {
+    const line = JSON.stringify({
+      time: new Date().toISOString(),
+      action: entry.action,
+      user: entry.user || null,
+      ip: entry.ip || null,
+      target: entry.target || '',
+      summary: entry.summary || '',
+      before: entry.before || null,
+      after: entry.after || null
+    }) + '\n';
+
+    this.queue = this.queue
+      .then(() => this._append(line))
+      .catch(error => {
+        console.error(`[ERROR] ${new Date().toISOString()} - AuditLog: Failed to record ${entry.action}:`, error.message);
+      });
+
+    return this.queue;
+  }
+
+  /**
+   * Write a line, rotating first if it would take the log past its size limit
+   * @private
+   */
+  async _append(line) {
+    if (this.size === null) {
+      await fsp.mkdir(path.dirname(this.logPath), { recursive: true });
+      try {
+        this.size = (await fsp.stat(this.logPath)).size;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        this.size = 0;
+      }
+    }
+
+    const length = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + length > this.maxBytes) {
+      await this._rotate();
+    }
+
+    await fsp.appendFile(this.logPath, line, { encoding: 'utf8', mode: 0o600 });
+    this.size += length;
+  }
+
+  /**
+   * Shift rotated logs up by one and start a new current log
+   * @private
+   */
+  async _rotate() {
+    await fsp.rm(this._getFilePath(this.maxFiles), { force: true });
+
+    for (let index = this.maxFiles - 1; index >= 0; index--) {
+      try {
+        await fsp.rename(this._getFilePath(index), this._getFilePath(index + 1));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+
+    this.size = 0;
+    console.log(`[INFO] ${new Date().toISOString()} - AuditLog: Rotated ${this.logPath}`);
+  }
+
+  /**
+   * Path of the current log (0) or a rotated log (1 = newest)
+   * @private
+   */
+  _getFilePath(index) {
+    if (index === 0) {
+      return this.logPath;
+    }
+
+    const extension = path.extname(this.logPath);
+    return `${this.logPath.slice(0, this.logPath.length - extension.length)}.${index}${extension}`;
+  }
+
+  /**
+   * Read the matching entries of one log file, newest first
+   * Unreadable lines (e.g. cut off by a crash) are skipped
+   * @private
+   */
+  async _readFile(filePath, filters) {
+    const entries = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    try {
+      for await (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          continue;
+        }
+
+        if (entry && typeof entry.time === 'string' && matchesFilters(entry, filters)) {
+          entries.push(entry);
+        }
+      }
+    } catch (error) {
+      // Rotated logs that don't exist yet have nothing to show
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    return entries.reverse();
+  }
+
+  /**
+   * Find entries, newest first
+   * @param {Object} [filters] - { action, user (part of the email), from/to (YYYY-MM-DD), q (text in target, summary or IP) }
+   * @param {number} [offset=0] - Matching entries to skip
+   * @param {number} [limit=Infinity] - Most entries to return
+   * @returns {Promise<Object>} { entries, total } where total counts every match
+   */
+  async query(filters = {}, offset = 0, limit = Infinity) {
+    // Let pending writes finish so a page shows the change that led to it
+    await this.queue;
+
+    const entries = [];
+    let total = 0;
+
+    for (let index = 0; index <= this.maxFiles; index++) {
+      const matches = await this._readFile(this._getFilePath(index), filters);
+
+      const start = Math.max(0, offset - total);
+      const end = Math.max(start, offset + limit - total);
+      entries.push(...matches.slice(start, end));
+      total += matches.length;
+    }
+
+    return { entries, total };
+  }
+}
+
+module.exports = AuditLog;
+module.exports.ACTIONS = ACTIONS;
+module.exports.FIELDS = FIELDS;
+module.exports.hashValue = hashValue;
@@ -0,0 +1,279 @@
+/**
+ * Authentication providers - The ways users can sign in to the admin
+ * Each provider is a Passport strategy that turns a sign-in into a user
+ * { provider, email, name, ... }. Providers only establish who someone is; whether
+ * they may use the admin is decided afterwards by the allowed users list.
+ *
+ *   google - Google OAuth 2.0 (GOOGLE_CLIENT_ID / GOOGLE_CLIENT_SECRET)
+ *   oidc   - Any OpenID Connect provider, found through its discovery document
+ *            (OIDC_ISSUER / OIDC_CLIENT_ID / OIDC_CLIENT_SECRET)
+ *   local  - Username and password accounts stored in config/users.json
+ *
+ * A provider is { id, label, type, strategy, authenticateOptions }, where `type` is
+ * 'redirect' for providers that send the browser elsewhere and 'password' for the
+ * login form.
+ */
+const passport = require('passport');
+const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const OAuth2Strategy = require('passport-oauth2');
+const config = require('./config');
+
+const PROVIDER_IDS = ['google', 'oidc', 'local'];
+
+/**
+ * Passport strategy for the login form, checking local accounts
+ */
+class LocalStrategy extends passport.Strategy {
+  /**
+   * @param {LocalAccounts} localAccounts - Account store
+   * @param {Function} verify - (user, done) decides whether the user may sign in
+   */
+  constructor(localAccounts, verify) {
+    super();
+    this.name = 'local';
+    this.localAccounts = localAccounts;
+    this.verify = verify;
+  }
+
+  authenticate(req) {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+      return this.fail({ code: 'invalid_credentials', message: 'Enter your username and password' });
+    }
+
+    this.localAccounts.verify(username, password)
+      .then(account => {
+        if (!account) {
+          console.log(`[AUTH] ${new Date().toISOString()} - Password sign-in failed for username: ${String(username).slice(0, 40)}`);
+          return this.fail({ code: 'invalid_credentials', message: 'Incorrect username or password' });
+        }
+
+        this.verify({ provider: 'local', ...account }, (err, user, info) => {
+          if (err) {
+            return this.error(err);
+          }
+          return user ? this.success(user, info) : this.fail(info);
+        });
+      })
+      .catch(err => this.error(err));
+  }
+}
+
+/**
+ * Passport strategy for a generic OpenID Connect provider
+ * Uses the authorization code flow with state and PKCE, then reads the user from the
+ * provider's userinfo endpoint
+ */
+class OidcStrategy extends OAuth2Strategy {
+  /**
+   * @param {Object} options - OAuth2Strategy options plus `userInfoURL`
+   * @param {Function} verify - (accessToken, refreshToken, profile, done)
+   */
+  constructor(options, verify) {
+    super({ ...options, state: true, pkce: true }, verify);
+    this.name = 'oidc';
+    this._userInfoURL = options.userInfoURL;
+  }
+
+  userProfile(accessToken, done) {
+    this._oauth2.useAuthorizationHeaderforGET(true);
+    this._oauth2.get(this._userInfoURL, accessToken, (err, body) => {
+      if (err) {
+        return done(new Error(`Failed to fetch OIDC user info: ${err.statusCode || err.message}`));
+      }
+
+      try {
+        const claims = JSON.parse(body);
+        done(null, {
+          id: claims.sub,
+          email: claims.email || null,
+          // Only an explicit claim counts; providers that leave it out don't vouch for the address
+          emailVerified: claims.email_verified === true,
+          name: claims.name || claims.preferred_username || null
+        });
+      } catch (parseError) {
+        done(new Error('Invalid OIDC user info response'));
+      }
+    });
+  }
+}
+
+/**
+ * Read the endpoints of an OpenID Connect provider from its discovery document
+ * @param {string} issuer - Issuer URL
+ * @returns {Promise<Object>} { authorizationURL, tokenURL, userInfoURL }
+ */
+async function discoverOidc(issuer) {
+  const base = issuer.replace(/\/+$/, '');
+  const response = await fetch(`${base}/.well-known/openid-configuration`, {
+    signal: AbortSignal.timeout(10000)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Discovery document returned HTTP ${response.status}`);
+  }
+
+  const metadata = await response.json();
+
+  if (String(metadata.issuer || '').replace(/\/+$/, '') !== base) {
+    throw new Error(`Discovery document is for issuer ${metadata.issuer}, expected ${issuer}`);
+  }
+
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint || !metadata.userinfo_endpoint) {
+    throw new Error('Discovery document is missing the authorization, token or userinfo endpoint');
+  }
+
+  return {
+    authorizationURL: metadata.authorization_endpoint,
+    tokenURL: metadata.token_endpoint,
+    userInfoURL: metadata.userinfo_endpoint
+  };
+}
+
+/**
+ * Get the providers that should be offered
+ * AUTH_PROVIDERS picks them explicitly; otherwise every configured provider is used
+ * @returns {string[]} Provider ids
+ */
+function getEnabledProviderIds() {
+  if (config.authProviders) {
+    const unknown = config.authProviders.filter(id => !PROVIDER_IDS.includes(id));
+    if (unknown.length > 0) {
+      console.warn(`[WARN] ${new Date().toISOString()} - Auth: Ignoring unknown providers in AUTH_PROVIDERS: ${unknown.join(', ')}`);
+    }
+    return PROVIDER_IDS.filter(id => config.authProviders.includes(id));
+  }
+
+  return PROVIDER_IDS.filter(id => {
+    if (id === 'google') {
+      return Boolean(config.googleClientId && config.googleClientSecret);
+    }
+    if (id === 'oidc') {
+      return Boolean(config.oidcIssuer && config.oidcClientId);
+    }
+    return true;
+  });
+}
+
+/**
+ * Create the Google provider
+ * @param {Function} verify - (user, done)
+ */
+function createGoogleProvider(verify) {
+  if (!config.googleClientId || !config.googleClientSecret) {
+    throw new Error('GOOGLE_CLIENT_ID and GOOGLE_CLIENT_SECRET must be set');
+  }
+
+  const strategy = new GoogleStrategy({
+    clientID: config.googleClientId,
+    clientSecret: config.googleClientSecret,
+    callbackURL: config.googleCallbackUrl
+  },
+  function(accessToken, refreshToken, profile, done) {
+    // Extract user information from Google profile
+    verify({
+      provider: 'google',
+      googleId: profile.id,
+      email: profile.emails && profile.emails[0] ? profile.emails[0].value : null,
+      name: profile.displayName,
+      picture: profile.photos && profile.photos[0] ? profile.photos[0].value : null
+    }, done);
+  });
+
+  return {
+    id: 'google',
+    label: 'Google',
+    type: 'redirect',
+    strategy,
+    authenticateOptions: { scope: ['profile', 'email'] }
+  };
+}
+
+/**
+ * Create the OpenID Connect provider, fetching the issuer's endpoints
+ * @param {Function} verify - (user, done)
+ */
+async function createOidcProvider(verify) {
+  if (!config.oidcIssuer || !config.oidcClientId) {
+    throw new Error('OIDC_ISSUER and OIDC_CLIENT_ID must be set');
+  }
+
+  const endpoints = await discoverOidc(config.oidcIssuer);
+
+  const strategy = new OidcStrategy({
+    ...endpoints,
+    clientID: config.oidcClientId,
+    clientSecret: config.oidcClientSecret,
+    callbackURL: config.oidcCallbackUrl,
+    scope: config.oidcScopes
+  },
+  function(accessToken, refreshToken, profile, done) {
+    // An unverified address could belong to anyone, so it can't be matched against the allowed users
+    if (!profile.email || !profile.emailVerified) {
+      console.log(`[AUTH] ${new Date().toISOString()} - OIDC sign-in refused for subject ${profile.id}: no verified email address`);
+      return done(null, false, { code: 'no_email', message: 'Your account has no verified email address.' });
+    }
+
+    verify({
+      provider: 'oidc',
+      oidcSubject: profile.id,
+      email: profile.email,
+      name: profile.name
+    }, done);
+  });
+
+  return {
+    id: 'oidc',
+    label: config.oidcLabel,
+    type: 'redirect',
+    strategy,
+    authenticateOptions: {}
+  };
+}
+
+/**
+ * Create the local accounts provider
+ * @param {LocalAccounts} localAccounts - Account store
+ * @param {Function} verify - (user, done)
+ */
+function createLocalProvider(localAccounts, verify) {
+  return {
+    id: 'local',
+    label: 'Username and password',
+    type: 'password',
+    strategy: new LocalStrategy(localAccounts, verify),
+    authenticateOptions: {}
+  };
+}
+
+/**
+ * Create every enabled provider
+ * A provider that fails to set up is logged and left out, so the others keep working
+ * @param {LocalAccounts} localAccounts - Account store for the local provider
+ * @param {Function} verify - (user, done) shared authorization check
+ * @returns {Promise<Array<Object>>} Providers
+ */
+async function createProviders(localAccounts, verify) {
+  const providers = [];
+
+  for (const id of getEnabledProviderIds()) {
+    try {
+      if (id === 'google') {
+        providers.push(createGoogleProvider(verify));
+      } else if (id === 'oidc') {
+        providers.push(await createOidcProvider(verify));
+      } else {
+        providers.push(createLocalProvider(localAccounts, verify));
+      }
+    } catch (error) {
+      console.error(`[ERROR] ${new Date().toISOString()} - Auth: Failed to set up ${id} sign-in:`, error.message);
+    }
+  }
+
+  return providers;
+}
+
+module.exports = {
+  createProviders
+};
@@ -1,12 +1,22 @@
 const passport = require('passport');
-const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const session = require('express-session');
 const FileStore = require('session-file-store')(session);
 const config = require('./config');
 const settingsManager = require('./settings-manager');
+const { createProviders } = require('./auth-providers');
+const RateLimiter = require('./rate-limiter');
+const { getClientIp } = require('./security');
+
+// Enabled sign-in providers by id, set up by initializeProviders()
+const providers = new Map();
+
+// Failed sign-ins per IP address and per local username; using up either locks further attempts out
+const signInFailuresByIp = new RateLimiter(config.signInFailuresPerIp, config.rateLimitWindowMs);
+const signInFailuresByAccount = new RateLimiter(config.signInFailuresPerAccount, config.rateLimitWindowMs);
 
 /**
- * Configure Passport.js with Google OAuth strategy and session management
+ * Configure Passport.js and session management
+ * Sign-in providers are added by initializeProviders() once the server has started
  * @param {Express.Application} app - Express application instance
  */
 function configureAuth(app) {
@@ -74,33 +84,6 @@ function configureAuth(app) {
   app.use(passport.initialize());
   app.use(passport.session());
 
-  // Configure Google OAuth 2.0 strategy
-  passport.use(new GoogleStrategy({
-    clientID: config.googleClientId,
-    clientSecret: config.googleClientSecret,
-    callbackURL: config.googleCallbackUrl
-  },
-  function(accessToken, refreshToken, profile, done) {
-    // Extract user information from Google profile
-    const user = {
-      googleId: profile.id,
-      email: profile.emails && profile.emails[0] ? profile.emails[0].value : null,
-      name: profile.displayName,
-      picture: profile.photos && profile.photos[0] ? profile.photos[0].value : null
-    };
-    
-    // Check if user is allowed to access the admin
-    if (!settingsManager.isUserAllowed(user.email)) {
-      console.log(`[AUTH] ${new Date().toISOString()} - Access denied for user: ${user.email}`);
-      return done(null, false, { message: 'Access denied. Your email is not authorized.' });
-    }
-    
-    // Log authentication event
-    console.log(`[AUTH] ${new Date().toISOString()} - User authenticated: ${user.email}`);
-    
-    return done(null, user);
-  }));
-
   // Serialize user to session
   passport.serializeUser(function(user, done) {
     done(null, user);
@@ -112,6 +95,158 @@ function configureAuth(app) {
   });
 }
 
+/**
+ * Decide whether a signed-in user may use the admin
+ * Shared by every provider, so the allowed users list applies however someone signs in.
+ * On a fresh install with no owner, the first user to sign in (or only OWNER_EMAIL, if set)
+ * claims the site and becomes its admin.
+ * @param {Object} user - User built by a provider
+ * @param {Function} done - Passport verify callback
+ */
+function authorizeUser(user, done) {
+  // Without an email there is nothing to check against the allowed users list
+  if (!user.email) {
+    console.log(`[AUTH] ${new Date().toISOString()} - Access denied for ${user.provider} user without a verified email`);
+    return done(null, false, { code: 'no_email', message: 'Your account has no verified email address.' });
+  }
+
+  if (!settingsManager.hasOwner()) {
+    if (config.ownerEmail && user.email.toLowerCase() !== config.ownerEmail.trim().toLowerCase()) {
+      console.log(`[AUTH] ${new Date().toISOString()} - Ownership claim refused for ${user.email} (${user.provider}): not OWNER_EMAIL`);
+      return done(null, false, { code: 'not_owner', message: 'Only the owner set in OWNER_EMAIL can set up this site.' });
+    }
+
+    return settingsManager.claimOwnership(user.email)
+      .then(claimed => {
+        if (!claimed) {
+          return authorizeUser(user, done);
+        }
+        console.log(`[AUTH] ${new Date().toISOString()} - Site ownership claimed by ${user.email} (${user.provider})`);
+        done(null, user, { ownershipClaimed: true });
+      })
+      .catch(done);
+  }
+
+  // Check if user is allowed to access the admin
+  if (!settingsManager.isUserAllowed(user.email)) {
+    console.log(`[AUTH] ${new Date().toISOString()} - Access denied for user: ${user.email} (${user.provider})`);
+    return done(null, false, { code: 'access_denied', message: 'Access denied. Your email is not authorized.' });
+  }
+
+  // Log authentication event
+  console.log(`[AUTH] ${new Date().toISOString()} - User authenticated: ${user.email} (${user.provider})`);
+
+  return done(null, user);
+}
+
+/**
+ * Set up the enabled sign-in providers
+ * @param {LocalAccounts} localAccounts - Account store for username and password sign-in
+ */
+async function initializeProviders(localAccounts) {
+  providers.clear();
+
+  for (const provider of await createProviders(localAccounts, authorizeUser)) {
+    passport.use(provider.id, provider.strategy);
+    providers.set(provider.id, provider);
+  }
+
+  const enabled = [...providers.keys()];
+  if (enabled.length === 0) {
+    console.warn(`[WARN] ${new Date().toISOString()} - Auth: No sign-in providers are available, the admin can't be reached`);
+  } else {
+    console.log(`[INFO] ${new Date().toISOString()} - Auth: Sign-in providers: ${enabled.join(', ')}`);
+  }
+}
+
+/**
+ * Get the enabled sign-in providers, for the login page
+ * @returns {Array<{id: string, label: string, type: string}>} type is 'redirect' or 'password'
+ */
+function getProviders() {
+  return [...providers.values()].map(({ id, label, type }) => ({ id, label, type }));
+}
+
+/**
+ * Count a failed sign-in, logging when it locks the IP address or username out
+ * @param {string} ip - IP address of the attempt
+ * @param {string|null} account - Local username tried, if any
+ */
+function recordSignInFailure(ip, account) {
+  const byIp = signInFailuresByIp.consume(ip);
+  if (byIp.allowed && byIp.remaining === 0) {
+    console.warn(`[SECURITY] ${new Date().toISOString()} - Sign-in locked out for IP ${ip} after ${config.signInFailuresPerIp} failed attempts`);
+  }
+
+  if (account) {
+    const byAccount = signInFailuresByAccount.consume(account);
+    if (byAccount.allowed && byAccount.remaining === 0) {
+      console.warn(`[SECURITY] ${new Date().toISOString()} - Sign-in locked out for username ${account} after ${config.signInFailuresPerAccount} failed attempts (last from IP ${ip})`);
+    }
+  }
+}
+
+/**
+ * Middleware that signs in through the provider named by `req.params.provider`
+ * Redirect providers start on GET and return to their callback; the password provider
+ * takes a POST from the login form. On success the user is logged in and the next
+ * handler runs; on failure the browser goes back to the login page with an error code.
+ * An IP address or username with too many recent failures is turned away before the
+ * provider is asked, with the minutes to wait in `retry`.
+ * @param {Express.Request} req - Express request object
+ * @param {Express.Response} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+function authenticate(req, res, next) {
+  const provider = providers.get(req.params.provider);
+  const method = provider && provider.type === 'password' ? 'POST' : 'GET';
+
+  if (!provider || req.method !== method) {
+    return res.redirect('/login?error=unknown_provider');
+  }
+
+  const ip = getClientIp(req);
+  const account = provider.type === 'password' && req.body && req.body.username
+    ? String(req.body.username).trim().toLowerCase().slice(0, 40)
+    : null;
+
+  const retryAfter = Math.max(
+    signInFailuresByIp.getRetryAfter(ip),
+    account ? signInFailuresByAccount.getRetryAfter(account) : 0
+  );
+  if (retryAfter > 0) {
+    console.warn(`[SECURITY] ${new Date().toISOString()} - Blocked ${provider.id} sign-in from locked-out IP ${ip}${account ? ` or username ${account}` : ''}`);
+    return res.redirect(`/login?error=locked_out&retry=${Math.ceil(retryAfter / 60)}`);
+  }
+
+  passport.authenticate(provider.id, provider.authenticateOptions, (err, user, info) => {
+    if (err) {
+      console.error(`[ERROR] ${new Date().toISOString()} - Auth: ${provider.id} sign-in error:`, err.message);
+      recordSignInFailure(ip, account);
+      return res.redirect('/login?error=auth_failed');
+    }
+
+    if (!user) {
+      recordSignInFailure(ip, account);
+      return res.redirect(`/login?error=${(info && info.code) || 'auth_failed'}`);
+    }
+
+    if (account) {
+      signInFailuresByAccount.reset(account);
+    }
+
+    // As passport does for its own success handling
+    req.authInfo = info;
+
+    req.login(user, loginErr => {
+      if (loginErr) {
+        return next(loginErr);
+      }
+      next();
+    });
+  })(req, res, next);
+}
+
 /**
  * Middleware to protect admin routes - requires authentication
  * @param {Express.Request} req - Express request object
@@ -120,6 +255,11 @@ function configureAuth(app) {
  */
 function requireAuth(req, res, next) {
   if (req.isAuthenticated()) {
+    // Removing someone from the allowed users ends their access straight away
+    if (!settingsManager.isUserAllowed(req.user.email)) {
+      console.log(`[AUTH] ${new Date().toISOString()} - Signed-in user no longer allowed: ${req.user.email}`);
+      return req.logout(() => res.redirect('/login?error=access_denied'));
+    }
     return next();
   }
   
@@ -130,6 +270,50 @@ function requireAuth(req, res, next) {
   res.redirect('/login');
 }
 
+/**
+ * Middleware to restrict admin routes to a role or a more privileged one
+ * Use after requireAuth. Roles are read from the settings on every request,
+ * so role changes apply to users who are already signed in.
+ * @param {string} role - Least privileged role allowed (admin, editor or author)
+ * @returns {Function} Express middleware
+ */
+function requireRole(role) {
+  return function(req, res, next) {
+    const userRole = settingsManager.getUserRole(req.user.email);
+    
+    if (settingsManager.roleAllows(userRole, role)) {
+      return next();
+    }
+    
+    console.log(`[AUTH] ${new Date().toISOString()} - Forbidden: ${req.user.email} (${userRole}) requested ${req.method} ${req.path}`);
+    
+    if (req.method === 'GET') {
+      return res.status(403).send(`Forbidden - This page requires the ${role} role`);
+    }
+    res.status(403).json({
+      success: false,
+      error: `This action requires the ${role} role`
+    });
+  };
+}
+
+/**
+ * Check whether a user may edit, delete and view the history of a content item
+ * Editors and admins may change everything; authors only items whose `author`
+ * front matter is their email address
+ * @param {Object} user - Signed-in user
+ * @param {Object} contentItem - Indexed content item
+ * @returns {boolean}
+ */
+function canEditContent(user, contentItem) {
+  if (settingsManager.roleAllows(settingsManager.getUserRole(user.email), 'editor')) {
+    return true;
+  }
+  
+  const author = contentItem.metadata ? contentItem.metadata.author : null;
+  return typeof author === 'string' && author.trim().toLowerCase() === String(user.email).toLowerCase();
+}
+
 /**
  * Logout handler - ends user session
  * @param {Express.Request} req - Express request object
@@ -154,6 +338,12 @@ function logout(req, res) {
 
 module.exports = {
   configureAuth,
+  initializeProviders,
+  getProviders,
+  authorizeUser,
+  authenticate,
   requireAuth,
+  requireRole,
+  canEditContent,
   logout
 };
@@ -7,6 +7,32 @@ module.exports = {
   googleClientSecret: process.env.GOOGLE_CLIENT_SECRET,
   googleCallbackUrl: process.env.GOOGLE_CALLBACK_URL || 'http://localhost:3000/auth/google/callback',
   
+  // OpenID Connect (any provider with a discovery document, e.g. Keycloak, Authentik, Auth0)
+  oidcIssuer: process.env.OIDC_ISSUER,
+  oidcClientId: process.env.OIDC_CLIENT_ID,
+  oidcClientSecret: process.env.OIDC_CLIENT_SECRET,
+  oidcCallbackUrl: process.env.OIDC_CALLBACK_URL || 'http://localhost:3000/auth/oidc/callback',
+  oidcLabel: process.env.OIDC_LABEL || 'Single sign-on', // Button text on the login page
+  oidcScopes: (process.env.OIDC_SCOPES || 'openid email profile').split(/[\s,]+/).filter(Boolean),
+  
+  // Email address allowed to claim a fresh install; without it the first person to sign in becomes the owner
+  ownerEmail: process.env.OWNER_EMAIL || null,
+  
+  // Sign-in providers offered on the login page: google, oidc and/or local (comma-separated)
+  // (defaults to every configured provider plus local accounts)
+  authProviders: process.env.AUTH_PROVIDERS
+    ? process.env.AUTH_PROVIDERS.split(',').map(id => id.trim().toLowerCase()).filter(Boolean)
+    : null,
+  
+  // Rate limiting, per IP address and per account in windows of rateLimitWindowMs
+  // (counted in memory, so a restart clears them)
+  rateLimitWindowMs: 15 * 60 * 1000,
+  authRequestsPerIp: 100,      // Requests to /login, /setup and /auth/* from one IP address
+  signInFailuresPerIp: 20,     // Failed sign-ins from one IP address before it is locked out
+  signInFailuresPerAccount: 5, // Wrong passwords for one username before it is locked out
+  adminWritesPerIp: 1200,      // Admin POST and DELETE requests from one IP address
+  adminWritesPerUser: 600,     // Admin POST and DELETE requests from one signed-in user
+  
   // Session
   sessionSecret: process.env.SESSION_SECRET || 'dev-secret-change-in-production',
   sessionDir: './sessions',
@@ -15,11 +41,38 @@ module.exports = {
   contentPath: './content',
   blogDir: 'blog',
   pagesDir: 'pages',
+  revisionsDir: '.revisions', // Prior versions of edited/deleted files (inside contentPath)
+  maxRevisions: 50,           // Revisions kept per content file
+  mediaDir: 'media',          // Uploaded images (inside contentPath), served at /media/
+  maxUploadSize: 5 * 1024 * 1024, // Largest accepted upload in bytes
+  imageCacheDir: '.image-cache', // Resized image variants (inside contentPath), served at /media/resized/
+  imageWidths: [320, 640, 960, 1280, 1920], // Widths of generated variants in pixels
+  imageSizes: '(max-width: 900px) 100vw, 900px', // Default `sizes` attribute for content images
+  
+  // Rendered HTML cache budget in bytes (null = 5% of the heap limit, at most 32 MB)
+  renderCacheMaxBytes: null,
+  
+  // Audit log of admin changes (JSON lines), rotated when it reaches auditLogMaxBytes
+  auditLogPath: './logs/audit.jsonl',
+  auditLogMaxBytes: 5 * 1024 * 1024,
+  auditLogMaxFiles: 5, // Rotated logs kept (audit.1.jsonl is the newest)
   
   // Themes
   themesPath: './themes',
   defaultTheme: 'default',
   
   // Server
-  port: process.env.PORT || 3000
+  port: process.env.PORT || 3000,
+  
+  // Proxies in front of the server, so request IPs are the visitor's rather than the proxy's:
+  // 'true', a number of hops or a list of proxy addresses (see Express "trust proxy")
+  trustProxy: !process.env.TRUST_PROXY || process.env.TRUST_PROXY === 'false'
+    ? false
+    : process.env.TRUST_PROXY === 'true'
+      ? true
+      : /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY,
+  
+  // Public base URL used for absolute links in feeds and sitemaps
+  // (falls back to the request host when not set)
+  siteUrl: process.env.SITE_URL || null
 };
@@ -1,18 +1,31 @@
 const fs = require('fs').promises;
 const path = require('path');
+const EventEmitter = require('events');
 const chokidar = require('chokidar');
 const MarkdownHandler = require('./markdown-handler');
+const SearchIndex = require('./search-index');
+
+// Longest delay setTimeout supports (about 24.8 days)
+const MAX_TIMER_DELAY = 2147483647;
 
 /**
  * ContentIndexer - Maintains an in-memory index of markdown files
  * Implements file watching to automatically detect external changes
+ * Emits 'updated' ({ action, slug, filePath }) whenever the index changes; reindex events
+ * also carry `previousSlug`, the file's slug before the change (null for new files)
  */
-class ContentIndexer {
+class ContentIndexer extends EventEmitter {
   constructor(contentPath) {
+    super();
     this.contentPath = contentPath;
     this.markdownHandler = new MarkdownHandler();
     this.index = new Map(); // slug -> content item
+    this.fileSlugs = new Map(); // file path -> slug, since a front matter slug can differ from the filename
+    this.conflicts = new Map(); // file path -> content item left out of the index because another file has its slug
+    this.searchIndex = new SearchIndex(); // full-text index over the same items
     this.watcher = null;
+    this.publishTimer = null;
+    this.nextScheduled = null; // "slug@date" of the entry the publish timer waits for, for logging
   }
 
   /**
@@ -27,11 +40,13 @@ class ContentIndexer {
       const blogPath = path.join(this.contentPath, 'blog');
       await this._scanDirectory(blogPath, 'blog');
       
-      // Scan pages directory
+      // Scan pages directory, including subdirectories of nested pages
       const pagesPath = path.join(this.contentPath, 'pages');
-      await this._scanDirectory(pagesPath, 'page');
+      await this._scanDirectory(pagesPath, 'page', true);
       
       console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Index initialized with ${this.index.size} items`);
+      
+      this._schedulePublishing();
     } catch (error) {
       console.error(`[ERROR] ${new Date().toISOString()} - ContentIndexer: Failed to initialize:`, error.message);
       throw error;
@@ -42,7 +57,7 @@ class ContentIndexer {
    * Scan a directory and add markdown files to the index
    * @private
    */
-  async _scanDirectory(dirPath, type) {
+  async _scanDirectory(dirPath, type, recursive = false) {
     try {
       // Check if directory exists
       try {
@@ -52,12 +67,15 @@ class ContentIndexer {
         return;
       }
 
-      const files = await fs.readdir(dirPath);
+      const entries = await fs.readdir(dirPath, { withFileTypes: true });
       
-      for (const file of files) {
-        if (file.endsWith('.md')) {
-          const filePath = path.join(dirPath, file);
+      for (const entry of entries) {
+        const filePath = path.join(dirPath, entry.name);
+        
+        if (entry.isFile() && entry.name.endsWith('.md')) {
           await this._indexFile(filePath, type);
+        } else if (recursive && entry.isDirectory() && !entry.name.startsWith('.')) {
+          await this._scanDirectory(filePath, type, true);
         }
       }
     } catch (error) {
@@ -73,10 +91,11 @@ class ContentIndexer {
     try {
       // Parse the markdown file
       const parsed = await this.markdownHandler.parseFile(filePath);
+      const stats = await fs.stat(filePath);
       
-      // Generate slug from filename
+      // Use the front matter slug if set, otherwise generate one from the file path
       const filename = path.basename(filePath, '.md');
-      const slug = this._generateSlug(filename);
+      const slug = this.getSlugForFile(filePath, parsed.metadata);
       
       // Determine type from metadata or parameter
       const contentType = parsed.metadata.type || type || 'page';
@@ -89,12 +108,39 @@ class ContentIndexer {
         date: parsed.metadata.date ? new Date(parsed.metadata.date) : new Date(),
         order: parsed.metadata.order || 0,
         published: parsed.metadata.published !== false, // Default to true
+        tags: this._normalizeList(parsed.metadata.tags),
+        categories: this._normalizeList(parsed.metadata.category || parsed.metadata.categories),
+        mtime: stats.mtime,
+        updated: this._getUpdatedDate(parsed.metadata, stats.mtime),
         filePath,
         metadata: parsed.metadata
       };
       
+      // Drop the old entry if the file's slug was changed
+      const previousSlug = this.fileSlugs.get(filePath);
+      if (previousSlug && previousSlug !== slug) {
+        this._removeSlug(previousSlug, filePath);
+      }
+      this.fileSlugs.set(filePath, slug);
+      
+      // Never let one file silently replace another: one keeps the slug, the other is reported
+      const existing = this.index.get(slug);
+      if (existing && existing.filePath !== filePath) {
+        const kept = this._hasSlugPrecedence(existing, contentItem) ? existing : contentItem;
+        const skipped = kept === existing ? contentItem : existing;
+        
+        this.conflicts.set(skipped.filePath, skipped);
+        console.warn(`[WARN] ${new Date().toISOString()} - ContentIndexer: Slug collision on "${slug}": ${skipped.filePath} is not indexed because ${kept.filePath} uses the same slug`);
+        
+        if (kept === existing) {
+          return;
+        }
+      }
+      this.conflicts.delete(filePath);
+      
       // Add to index
       this.index.set(slug, contentItem);
+      this.searchIndex.add(slug, contentItem.title, this.markdownHandler.renderToText(parsed.content));
       
       console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Indexed ${slug} (${contentType})`);
     } catch (error) {
@@ -103,10 +149,87 @@ class ContentIndexer {
   }
 
   /**
-   * Generate a URL-friendly slug from a filename
+   * Determine when an item was last updated
+   * Uses an explicit `updated` front matter field, otherwise the file mtime
    * @private
    */
-  _generateSlug(filename) {
+  _getUpdatedDate(metadata, mtime) {
+    if (metadata.updated) {
+      const updated = new Date(metadata.updated);
+      if (!isNaN(updated)) {
+        return updated;
+      }
+    }
+    
+    return mtime;
+  }
+
+  /**
+   * Normalize a front matter list (YAML array or comma-separated string)
+   * @private
+   */
+  _normalizeList(value) {
+    if (value === undefined || value === null || value === '') {
+      return [];
+    }
+    
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    const list = values
+      .map(v => String(v).trim())
+      .filter(v => v.length > 0);
+    
+    return [...new Set(list)];
+  }
+
+  /**
+   * Generate a URL-friendly slug for a tag or category name
+   * @param {string} term - Tag or category name
+   * @returns {string} Slug
+   */
+  slugifyTerm(term) {
+    return String(term)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+
+  /**
+   * Determine the slug of a content file
+   * Pages in subdirectories of content/pages get hierarchical slugs such as `docs/install`,
+   * and a directory's `index.md` takes the directory's slug. An explicit `slug` front matter
+   * field replaces the last segment.
+   * @param {string} filePath - Path of the markdown file
+   * @param {Object} [metadata] - Front matter of the file
+   * @returns {string} Slug
+   */
+  getSlugForFile(filePath, metadata = {}) {
+    const relative = path.relative(path.join(this.contentPath, 'pages'), filePath);
+    const segments = relative.startsWith('..') || path.isAbsolute(relative)
+      ? [path.basename(filePath, '.md')]
+      : relative.replace(/\.md$/, '').split(path.sep);
+    
+    if (segments.length > 1 && segments[segments.length - 1] === 'index') {
+      segments.pop();
+    }
+    
+    const slugs = segments.map(segment => this.slugFromFilename(segment));
+    
+    if (metadata.slug !== undefined && metadata.slug !== null) {
+      const slug = this.slugifyTerm(metadata.slug);
+      if (slug) {
+        slugs[slugs.length - 1] = slug;
+      }
+    }
+    
+    return slugs.filter(slug => slug.length > 0).join('/');
+  }
+
+  /**
+   * Generate a URL-friendly slug from a filename
+   * @param {string} filename - File name without the .md extension
+   * @returns {string} Slug
+   */
+  slugFromFilename(filename) {
     // Remove date prefix if present (YYYY-MM-DD-)
     let slug = filename.replace(/^\d{4}-\d{2}-\d{2}-/, '');
     
@@ -121,11 +244,16 @@ class ContentIndexer {
 
   /**
    * Get all blog entries sorted by order/date
+   * Entries dated in the future are scheduled and hidden until their publish time
+   * @param {Object} [options]
+   * @param {boolean} [options.includeScheduled=false] - Also return scheduled entries (for the admin)
+   * @param {boolean} [options.includeDrafts=false] - Also return unpublished entries (for the admin)
    * @returns {Array} Sorted array of blog entries
    */
-  getBlogEntries() {
+  getBlogEntries({ includeScheduled = false, includeDrafts = false } = {}) {
     const blogEntries = Array.from(this.index.values())
-      .filter(item => item.type === 'blog' && item.published);
+      .filter(item => item.type === 'blog' && (includeDrafts || item.published))
+      .filter(item => includeScheduled || !this.isScheduled(item));
     
     // Sort by order (ascending), then by date (descending)
     blogEntries.sort((a, b) => {
@@ -140,13 +268,33 @@ class ContentIndexer {
     return blogEntries;
   }
 
+  /**
+   * Check whether a blog entry is scheduled for future publication
+   * @param {Object} item - Content item
+   * @returns {boolean} True if the entry's date is still in the future
+   */
+  isScheduled(item) {
+    return item.type === 'blog' && item.date.getTime() > Date.now();
+  }
+
+  /**
+   * Check whether a content item may be shown to visitors
+   * @param {Object} item - Content item
+   * @returns {boolean} True if published and not scheduled for the future
+   */
+  isPublic(item) {
+    return item.published && !this.isScheduled(item);
+  }
+
   /**
    * Get all pages
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDrafts=false] - Also return unpublished pages (for the admin)
    * @returns {Array} Array of page items sorted by order
    */
-  getPages() {
+  getPages({ includeDrafts = false } = {}) {
     const pages = Array.from(this.index.values())
-      .filter(item => item.type === 'page' && item.published);
+      .filter(item => item.type === 'page' && (includeDrafts || item.published));
     
     // Sort by order (ascending), then by date (descending)
     pages.sort((a, b) => {
@@ -161,6 +309,153 @@ class ContentIndexer {
     return pages;
   }
 
+  /**
+   * Get the closest ancestor of a page
+   * Pages are nested by directory, so `docs/install` is a child of `docs`; if there is
+   * no `docs` page, the next existing ancestor up is used
+   * @param {Object} item - Page item
+   * @param {Object} [options]
+   * @param {boolean} [options.includeDrafts=false] - Also consider unpublished pages (for the admin)
+   * @returns {Object|null} Parent page, or null for top-level pages
+   */
+  getParent(item, { includeDrafts = false } = {}) {
+    if (item.type !== 'page') {
+      return null;
+    }
+    
+    const segments = item.slug.split('/');
+    
+    while (segments.length > 1) {
+      segments.pop();
+      const parent = this.index.get(segments.join('/'));
+      if (parent && parent.type === 'page' && (includeDrafts || parent.published)) {
+        return parent;
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Get the ancestors of a page, outermost first (for breadcrumbs)
+   * @param {Object} item - Page item
+   * @param {Object} [options] - Same as getParent()
+   * @returns {Array} Ancestor pages
+   */
+  getAncestors(item, options = {}) {
+    const ancestors = [];
+    let parent = this.getParent(item, options);
+    
+    while (parent) {
+      ancestors.unshift(parent);
+      parent = this.getParent(parent, options);
+    }
+    
+    return ancestors;
+  }
+
+  /**
+   * Get the direct children of a page, sorted like getPages()
+   * @param {Object} item - Page item
+   * @param {Object} [options] - Same as getPages()
+   * @returns {Array} Child pages
+   */
+  getChildren(item, options = {}) {
+    return this.getPages(options).filter(page => {
+      const parent = this.getParent(page, options);
+      return parent !== null && parent.slug === item.slug;
+    });
+  }
+
+  /**
+   * Get all pages as a tree
+   * @param {Object} [options] - Same as getPages()
+   * @returns {Array<{item: Object, children: Array}>} Top-level nodes, each with nested child nodes
+   */
+  getPageTree(options = {}) {
+    const pages = this.getPages(options);
+    const nodes = new Map(pages.map(page => [page.slug, { item: page, children: [] }]));
+    const roots = [];
+    
+    for (const page of pages) {
+      const parent = this.getParent(page, options);
+      const siblings = parent && nodes.has(parent.slug) ? nodes.get(parent.slug).children : roots;
+      siblings.push(nodes.get(page.slug));
+    }
+    
+    return roots;
+  }
+
+  /**
+   * Get published blog entries with a given tag
+   * @param {string} tagSlug - Slugified tag name
+   * @returns {Array} Sorted array of blog entries
+   */
+  getBlogEntriesByTag(tagSlug) {
+    return this.getBlogEntries()
+      .filter(item => item.tags.some(tag => this.slugifyTerm(tag) === tagSlug));
+  }
+
+  /**
+   * Get published blog entries in a given category
+   * @param {string} categorySlug - Slugified category name
+   * @returns {Array} Sorted array of blog entries
+   */
+  getBlogEntriesByCategory(categorySlug) {
+    return this.getBlogEntries()
+      .filter(item => item.categories.some(category => this.slugifyTerm(category) === categorySlug));
+  }
+
+  /**
+   * Get tags used by published blog entries, weighted for display as a tag cloud
+   * @returns {Array<{name: string, slug: string, count: number, weight: number}>}
+   *   Tags sorted by name; weight ranges from 1 (least used) to 5 (most used)
+   */
+  getTagCloud() {
+    const tags = this._countTerms('tags');
+    const counts = tags.map(tag => tag.count);
+    const min = Math.min(...counts);
+    const max = Math.max(...counts);
+    
+    return tags.map(tag => ({
+      ...tag,
+      weight: max === min ? 3 : 1 + Math.round(((tag.count - min) / (max - min)) * 4)
+    }));
+  }
+
+  /**
+   * Get categories used by published blog entries
+   * @returns {Array<{name: string, slug: string, count: number}>} Categories sorted by name
+   */
+  getCategories() {
+    return this._countTerms('categories');
+  }
+
+  /**
+   * Count how many published blog entries use each tag or category
+   * @private
+   */
+  _countTerms(field) {
+    const terms = new Map(); // slug -> { name, slug, count }
+    
+    for (const item of this.getBlogEntries()) {
+      for (const name of item[field]) {
+        const slug = this.slugifyTerm(name);
+        if (!slug) {
+          continue;
+        }
+        
+        if (!terms.has(slug)) {
+          terms.set(slug, { name, slug, count: 0 });
+        }
+        terms.get(slug).count++;
+      }
+    }
+    
+    return Array.from(terms.values())
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
   /**
    * Get a single content item by slug
    * @param {string} slug - The slug to look up
@@ -170,6 +465,20 @@ class ContentIndexer {
     return this.index.get(slug) || null;
   }
 
+  /**
+   * Full-text search across published blog entries and pages
+   * @param {string} query - Free-text query
+   * @param {number} [limit=50] - Maximum number of results
+   * @returns {Array<{item: Object, score: number, title: string, snippet: string}>}
+   *   Ranked results; `title` and `snippet` are HTML with matches highlighted
+   */
+  search(query, limit = 50) {
+    return this.searchIndex.search(query)
+      .map(result => ({ ...result, item: this.index.get(result.slug) }))
+      .filter(result => result.item && this.isPublic(result.item))
+      .slice(0, limit);
+  }
+
   /**
    * Reindex a file (called when file is added or modified)
    * @param {string} filePath - Path to the file to reindex
@@ -178,20 +487,23 @@ class ContentIndexer {
   async reindex(filePath) {
     try {
       // Determine type from directory
-      const type = filePath.includes('/blog/') ? 'blog' : 'page';
+      const type = path.relative(this.contentPath, filePath).split(path.sep)[0] === 'blog' ? 'blog' : 'page';
       
-      // Remove old entry if it exists
-      const filename = path.basename(filePath, '.md');
-      const slug = this._generateSlug(filename);
+      const previousSlug = this.fileSlugs.get(filePath) || null;
       
-      if (this.index.has(slug)) {
-        console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Reindexing ${slug}`);
+      if (previousSlug) {
+        console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Reindexing ${previousSlug}`);
       } else {
-        console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Adding new file ${slug}`);
+        console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Adding new file ${filePath}`);
       }
       
       // Index the file
       await this._indexFile(filePath, type);
+      
+      const slug = this.fileSlugs.get(filePath) || previousSlug;
+      
+      this.emit('updated', { action: 'reindex', slug, previousSlug, filePath });
+      this._schedulePublishing();
     } catch (error) {
       console.error(`[ERROR] ${new Date().toISOString()} - ContentIndexer: Failed to reindex ${filePath}:`, error.message);
     }
@@ -203,18 +515,141 @@ class ContentIndexer {
    */
   removeFromIndex(filePath) {
     try {
-      const filename = path.basename(filePath, '.md');
-      const slug = this._generateSlug(filename);
+      const slug = this.fileSlugs.get(filePath);
       
-      if (this.index.has(slug)) {
-        this.index.delete(slug);
+      if (slug) {
+        this._removeSlug(slug, filePath);
+        this.fileSlugs.delete(filePath);
         console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Removed from index ${slug}`);
+        this.emit('updated', { action: 'remove', slug, filePath });
+        this._schedulePublishing();
       }
     } catch (error) {
       console.error(`[ERROR] ${new Date().toISOString()} - ContentIndexer: Failed to remove ${filePath} from index:`, error.message);
     }
   }
 
+  /**
+   * Remove a file's claim on a slug
+   * If the file held the slug, the next file that collided with it is indexed in its place
+   * @private
+   */
+  _removeSlug(slug, filePath) {
+    this.conflicts.delete(filePath);
+    
+    const item = this.index.get(slug);
+    if (!item || item.filePath !== filePath) {
+      return;
+    }
+    
+    this.index.delete(slug);
+    this.searchIndex.remove(slug);
+    
+    const next = Array.from(this.conflicts.values())
+      .filter(conflict => conflict.slug === slug)
+      .reduce((best, conflict) => (!best || this._hasSlugPrecedence(conflict, best) ? conflict : best), null);
+    if (next) {
+      console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Slug "${slug}" now belongs to ${next.filePath}`);
+      this.reindex(next.filePath);
+    }
+  }
+
+  /**
+   * Decide which of two files using the same slug keeps it, independent of scan order:
+   * pages win over blog entries, otherwise the first file path alphabetically
+   * @private
+   */
+  _hasSlugPrecedence(a, b) {
+    if (a.type !== b.type) {
+      return a.type === 'page';
+    }
+    
+    return a.filePath < b.filePath;
+  }
+
+  /**
+   * Get files that are left out of the index because another file uses the same slug
+   * @returns {Array<{slug: string, filePath: string, type: string, title: string, indexed: Object|null}>}
+   *   One entry per left-out file; `indexed` is the content item that has the slug
+   */
+  getSlugConflicts() {
+    return Array.from(this.conflicts.values())
+      .map(item => ({
+        slug: item.slug,
+        filePath: item.filePath,
+        type: item.type,
+        title: item.title,
+        indexed: this.index.get(item.slug) || null
+      }))
+      .sort((a, b) => a.slug.localeCompare(b.slug));
+  }
+
+  /**
+   * Check whether a slug is used by any content file
+   * @param {string} slug - Slug to check
+   * @param {string|null} [exceptFilePath] - File to ignore (the file being edited)
+   * @returns {boolean} True if another file already uses the slug
+   */
+  isSlugTaken(slug, exceptFilePath = null) {
+    for (const [filePath, fileSlug] of this.fileSlugs) {
+      if (fileSlug === slug && filePath !== exceptFilePath) {
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  /**
+   * Arm a timer for the next scheduled blog entry so listings, feeds and caches
+   * are refreshed (via an 'updated' event) the moment it goes live
+   * @private
+   */
+  _schedulePublishing() {
+    if (this.publishTimer) {
+      clearTimeout(this.publishTimer);
+      this.publishTimer = null;
+    }
+    
+    const scheduled = this.getBlogEntries({ includeScheduled: true })
+      .filter(item => this.isScheduled(item))
+      .sort((a, b) => a.date - b.date);
+    
+    if (scheduled.length === 0) {
+      this.nextScheduled = null;
+      return;
+    }
+    
+    const next = scheduled[0];
+    
+    // setTimeout cannot wait longer than ~24.8 days (longer delays fire after 1 ms), so the
+    // timer is re-armed until the post is within reach; the extra 1 ms lands past its date
+    const delay = Math.min(Math.max(next.date.getTime() - Date.now(), 0) + 1, MAX_TIMER_DELAY);
+    
+    this.publishTimer = setTimeout(() => {
+      this.publishTimer = null;
+      
+      for (const item of scheduled) {
+        if (!this.isScheduled(item)) {
+          console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Published scheduled entry ${item.slug}`);
+          this.emit('updated', { action: 'publish', slug: item.slug, filePath: item.filePath });
+        }
+      }
+      
+      this._schedulePublishing();
+    }, delay);
+    
+    // Don't keep the process alive just for the scheduler
+    this.publishTimer.unref();
+    
+    // Re-arming for the same entry (after an index update or a capped delay) isn't news
+    const nextScheduled = `${next.slug}@${next.date.toISOString()}`;
+    if (nextScheduled !== this.nextScheduled) {
+      this.nextScheduled = nextScheduled;
+      console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Next scheduled entry ${next.slug} at ${next.date.toISOString()}`);
+    }
+  }
+
   /**
    * Start watching the content directory for changes
    */
@@ -226,10 +661,10 @@ class ContentIndexer {
 
     console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Starting file watcher`);
     
-    // Watch both blog and pages directories
+    // Watch the blog directory and the pages directory tree
     const watchPaths = [
       path.join(this.contentPath, 'blog', '*.md'),
-      path.join(this.contentPath, 'pages', '*.md')
+      path.join(this.contentPath, 'pages', '**', '*.md')
     ];
 
     this.watcher = chokidar.watch(watchPaths, {
@@ -272,6 +707,11 @@ class ContentIndexer {
    * Stop watching for file changes
    */
   async stopWatching() {
+    if (this.publishTimer) {
+      clearTimeout(this.publishTimer);
+      this.publishTimer = null;
+    }
+    
     if (this.watcher) {
       console.log(`[INFO] ${new Date().toISOString()} - ContentIndexer: Stopping file watcher`);
       await this.watcher.close();
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+/**
+ * Static site export
+ * Renders every public route with the active theme into a self-contained directory
+ *
+ * Usage: npm run export -- [--out <dir>] [--base-url <url>]
+ *   --out       Output directory (default: ./dist)
+ *   --base-url  Public URL of the static site, used in feeds and the sitemap
+ *               (default: SITE_URL)
+ */
+const express = require('express');
+const path = require('path');
+const config = require('./config');
+const ContentIndexer = require('./content-indexer');
+const MarkdownHandler = require('./markdown-handler');
+const ThemeManager = require('./theme-manager');
+const FeedGenerator = require('./feed-generator');
+const SitemapGenerator = require('./sitemap-generator');
+const ImageProcessor = require('./image-processor');
+const ViewBuilder = require('./view-builder');
+const MenuManager = require('./menu-manager');
+const StaticExporter = require('./static-exporter');
+const settingsManager = require('./settings-manager');
+
+/**
+ * Parse `--name value` command line options
+ * @param {string[]} args - Command line arguments
+ * @returns {Object} Options by name
+ */
+function parseArgs(args) {
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const match = args[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      throw new Error(`Unexpected argument: ${args[i]}`);
+    }
+
+    options[match[1]] = match[2] !== undefined ? match[2] : args[++i];
+  }
+
+  return options;
+}
+
+async function main() {
+  const startTime = Date.now();
+  const options = parseArgs(process.argv.slice(2));
+  const outputPath = options.out || 'dist';
+  let baseUrl = options['base-url'] || config.siteUrl;
+
+  if (!baseUrl) {
+    baseUrl = `http://localhost:${config.port}`;
+    console.warn(`[WARN] ${new Date().toISOString()} - Export: No --base-url or SITE_URL set, feeds and sitemap will link to ${baseUrl}`);
+  }
+  baseUrl = baseUrl.replace(/\/+$/, '');
+
+  // Templates are rendered through a bare Express app, without the server's routes or sessions
+  const app = express();
+  app.set('view engine', 'ejs');
+
+  await settingsManager.load();
+
+  const contentIndexer = new ContentIndexer(config.contentPath);
+  await contentIndexer.initialize();
+
+  // Finish any pending resizing so pages include srcset for every image
+  const imageProcessor = new ImageProcessor(
+    path.join(config.contentPath, config.mediaDir),
+    path.join(config.contentPath, config.imageCacheDir),
+    { widths: config.imageWidths, sizes: config.imageSizes }
+  );
+  await imageProcessor.initialize();
+  await imageProcessor.waitUntilIdle();
+
+  const markdownHandler = new MarkdownHandler(imageProcessor);
+  const menuManager = new MenuManager(path.join(__dirname, 'config', 'menus.json'), contentIndexer, settingsManager);
+  await menuManager.load();
+
+  const viewBuilder = new ViewBuilder(contentIndexer, markdownHandler, settingsManager, menuManager);
+
+  const exporter = new StaticExporter({
+    contentIndexer,
+    themeManager: new ThemeManager(config.themesPath, app),
+    viewBuilder,
+    feedGenerator: new FeedGenerator(contentIndexer, markdownHandler, settingsManager),
+    sitemapGenerator: new SitemapGenerator(contentIndexer, settingsManager)
+  }, {
+    themesPath: config.themesPath,
+    mediaPath: path.join(config.contentPath, config.mediaDir),
+    imageCachePath: path.join(config.contentPath, config.imageCacheDir)
+  });
+
+  const fileCount = await exporter.export(outputPath, baseUrl);
+
+  // Only a file watcher would keep the process alive, and none is started here (the publish
+  // timer is unref()'d); this just clears the timer now that the export is done
+  await contentIndexer.stopWatching();
+
+  const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
+  console.log(`[EXPORT] ${new Date().toISOString()} - Wrote ${fileCount} files to ${path.resolve(outputPath)} in ${elapsed}s`);
+}
+
+main().catch(error => {
+  console.error(`[ERROR] ${new Date().toISOString()} - Export failed:`, error.message);
+  process.exit(1);
+});
@@ -0,0 +1,184 @@
+const { escapeXml } = require('./security');
+const { getContentUrl } = require('./permalinks');
+
+// Number of most recent blog entries included in each feed
+const FEED_ITEM_LIMIT = 20;
+
+/**
+ * FeedGenerator - Builds RSS 2.0 and Atom feeds from indexed blog entries
+ * Feeds for the canonical site URL are cached until the content index changes; feeds for
+ * a URL taken from the request are built every time, as each Host header would otherwise
+ * add an entry (and put its host in the links of every later response)
+ */
+class FeedGenerator {
+  constructor(contentIndexer, markdownHandler, settingsManager) {
+    this.contentIndexer = contentIndexer;
+    this.markdownHandler = markdownHandler;
+    this.settingsManager = settingsManager;
+    this.cache = new Map(); // format -> xml for the canonical site URL
+  }
+
+  /**
+   * Drop all cached feeds so they are regenerated on next request
+   */
+  invalidate() {
+    if (this.cache.size > 0) {
+      this.cache.clear();
+      console.log(`[INFO] ${new Date().toISOString()} - FeedGenerator: Feed cache invalidated`);
+    }
+  }
+
+  /**
+   * Get the RSS 2.0 feed
+   * @param {string} baseUrl - Absolute site URL without trailing slash
+   * @param {boolean} [cacheable=true] - Whether baseUrl is the configured site URL
+   * @returns {Promise<string>} RSS XML document
+   */
+  async getRss(baseUrl, cacheable = true) {
+    return this._getCached('rss', cacheable, () => this._buildRss(baseUrl));
+  }
+
+  /**
+   * Get the Atom feed
+   * @param {string} baseUrl - Absolute site URL without trailing slash
+   * @param {boolean} [cacheable=true] - Whether baseUrl is the configured site URL
+   * @returns {Promise<string>} Atom XML document
+   */
+  async getAtom(baseUrl, cacheable = true) {
+    return this._getCached('atom', cacheable, () => this._buildAtom(baseUrl));
+  }
+
+  /**
+   * Return a cached feed or build it, caching it if allowed
+   * @private
+   */
+  async _getCached(format, cacheable, build) {
+    if (cacheable && this.cache.has(format)) {
+      return this.cache.get(format);
+    }
+
+    const xml = await build();
+    if (cacheable) {
+      this.cache.set(format, xml);
+      console.log(`[INFO] ${new Date().toISOString()} - FeedGenerator: Generated ${format} feed`);
+    }
+
+    return xml;
+  }
+
+  /**
+   * Load the most recent blog entries with their rendered HTML
+   * @private
+   */
+  async _getItems(baseUrl) {
+    const entries = this.contentIndexer.getBlogEntries()
+      .slice()
+      .sort((a, b) => b.date - a.date)
+      .slice(0, FEED_ITEM_LIMIT);
+
+    const pattern = this.settingsManager.getPermalinkPattern();
+    const items = [];
+
+    for (const entry of entries) {
+      try {
+        const parsed = await this.markdownHandler.parseFile(entry.filePath);
+
+        items.push({
+          title: entry.title,
+          link: `${baseUrl}${getContentUrl(entry, pattern)}`,
+          published: entry.date,
+          updated: entry.updated,
+          // `author` is an email address when it records who owns the entry; never publish those
+          author: typeof entry.metadata.author === 'string' && !entry.metadata.author.includes('@')
+            ? entry.metadata.author
+            : null,
+          html: this.markdownHandler.renderToHtml(parsed.content)
+        });
+      } catch (error) {
+        console.error(`[ERROR] ${new Date().toISOString()} - FeedGenerator: Skipping ${entry.slug}:`, error.message);
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Build an RSS 2.0 document
+   * @private
+   */
+  async _buildRss(baseUrl) {
+    const items = await this._getItems(baseUrl);
+    const siteName = this.settingsManager.getSiteName();
+    const lastBuild = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+      '<channel>',
+      `<title>${escapeXml(siteName)}</title>`,
+      `<link>${escapeXml(baseUrl)}/</link>`,
+      `<description>${escapeXml(siteName)}</description>`,
+      `<atom:link href="${escapeXml(baseUrl)}/feed.xml" rel="self" type="application/rss+xml"/>`
+    ];
+
+    if (items.length > 0) {
+      lines.push(`<lastBuildDate>${lastBuild.toUTCString()}</lastBuildDate>`);
+    }
+
+    for (const item of items) {
+      lines.push(
+        '<item>',
+        `<title>${escapeXml(item.title)}</title>`,
+        `<link>${escapeXml(item.link)}</link>`,
+        `<guid isPermaLink="true">${escapeXml(item.link)}</guid>`,
+        `<pubDate>${item.published.toUTCString()}</pubDate>`,
+        `<content:encoded>${escapeXml(item.html)}</content:encoded>`,
+        '</item>'
+      );
+    }
+
+    lines.push('</channel>', '</rss>');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build an Atom document
+   * @private
+   */
+  async _buildAtom(baseUrl) {
+    const items = await this._getItems(baseUrl);
+    const siteName = this.settingsManager.getSiteName();
+    const feedUpdated = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<feed xmlns="http://www.w3.org/2005/Atom">',
+      `<title>${escapeXml(siteName)}</title>`,
+      `<id>${escapeXml(baseUrl)}/</id>`,
+      `<link href="${escapeXml(baseUrl)}/"/>`,
+      `<link href="${escapeXml(baseUrl)}/atom.xml" rel="self" type="application/atom+xml"/>`,
+      `<updated>${(items.length > 0 ? feedUpdated : new Date()).toISOString()}</updated>`
+    ];
+
+    for (const item of items) {
+      lines.push(
+        '<entry>',
+        `<title>${escapeXml(item.title)}</title>`,
+        `<id>${escapeXml(item.link)}</id>`,
+        `<link href="${escapeXml(item.link)}"/>`,
+        `<published>${item.published.toISOString()}</published>`,
+        `<updated>${item.updated.toISOString()}</updated>`,
+        `<author><name>${escapeXml(item.author || siteName)}</name></author>`,
+        `<content type="html">${escapeXml(item.html)}</content>`,
+        '</entry>'
+      );
+    }
+
+    lines.push('</feed>');
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = FeedGenerator;
@@ -0,0 +1,188 @@
+/**
+ * Front matter - Writes metadata back into markdown files
+ * Values are written with the same YAML engine gray-matter reads them with, so any
+ * metadata that can be read can be written back unchanged. When a file is rewritten,
+ * keys whose values did not change keep their original text (quoting, comments, layout)
+ * and every key keeps its position; new keys are added at the end.
+ */
+const matter = require('gray-matter');
+
+const yaml = matter.engines.yaml;
+
+const DUMP_OPTIONS = { lineWidth: -1, noRefs: true };
+
+// A top-level key at the start of a line: plain, or single/double quoted
+const KEY_PATTERN = /^(?:([A-Za-z0-9_$][^:#\s]*)|"((?:[^"\\]|\\.)*)"|'((?:[^']|'')*)')[ \t]*:(?=\s|$)/;
+
+/**
+ * Format a date for front matter, keeping the time only when there is one
+ * @param {Date} date - Date to format
+ * @returns {string} `YYYY-MM-DD` for midnight UTC, otherwise a full ISO timestamp
+ */
+function formatFrontMatterDate(date) {
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.split('T')[0] : iso;
+}
+
+/**
+ * Compare two front matter values, treating dates by their time
+ */
+function isEqual(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+  }
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) &&
+      a.length === b.length && a.every((value, i) => isEqual(value, b[i]));
+  }
+
+  if (a && b && typeof a === 'object' && typeof b === 'object') {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+  }
+
+  return a === b;
+}
+
+/**
+ * Write one top-level key as YAML
+ * Lists of plain values use the compact `[a, b]` form and dates omit a midnight time
+ */
+function dumpKey(key, value) {
+  const isScalarList = Array.isArray(value) && value.every(item =>
+    ['string', 'number', 'boolean'].includes(typeof item) && !String(item).includes('\n'));
+
+  const text = yaml.stringify({ [key]: value }, { ...DUMP_OPTIONS, flowLevel: isScalarList ? 1 : -1 });
+
+  return value instanceof Date ? text.replace(value.toISOString(), formatFrontMatterDate(value)) : text;
+}
+
+/**
+ * Split front matter source into one block of lines per top-level key
+ * Comments and blank lines directly above a key belong to that key
+ * @returns {Object|null} { blocks: [{ key, leading, lines }], trailing }, or null if
+ *   the source has a layout that can't be split safely
+ */
+function splitKeys(source) {
+  const blocks = [];
+  let pending = [];
+
+  for (const line of source.replace(/^\n/, '').split('\n')) {
+    if (line.trim() === '' || line.startsWith('#')) {
+      pending.push(line);
+      continue;
+    }
+
+    if (/^\s/.test(line)) {
+      if (blocks.length === 0) {
+        return null;
+      }
+      // Indented lines continue the current value; comments above them stay with it
+      blocks[blocks.length - 1].lines.push(...pending, line);
+      pending = [];
+      continue;
+    }
+
+    const match = KEY_PATTERN.exec(line);
+    if (!match) {
+      return null;
+    }
+
+    const key = match[1] !== undefined
+      ? match[1]
+      : match[2] !== undefined ? yaml.parse(`"${match[2]}"`) : match[3].replace(/''/g, "'");
+
+    blocks.push({ key, leading: pending, lines: [line] });
+    pending = [];
+  }
+
+  return { blocks, trailing: pending };
+}
+
+/**
+ * Write front matter, reusing the original text of unchanged keys where possible
+ * @param {Object} metadata - Front matter values, in the order new keys should be added
+ * @param {string} [original=''] - The file's current front matter source (gray-matter's `matter`)
+ * @returns {string} YAML, ending with a newline unless empty
+ */
+function stringifyFrontMatter(metadata, original = '') {
+  // Keys set to undefined are left out, as they would be by YAML
+  const values = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    if (value !== undefined) {
+      values[key] = value;
+    }
+  }
+
+  const keys = Object.keys(values);
+  const fullDump = keys.map(key => dumpKey(key, values[key])).join('');
+
+  let originalData;
+  let layout;
+  try {
+    originalData = original.trim() ? yaml.parse(original) : null;
+    layout = originalData && typeof originalData === 'object' ? splitKeys(original) : null;
+  } catch (error) {
+    layout = null;
+  }
+
+  if (!layout) {
+    return fullDump;
+  }
+
+  const lines = [];
+
+  for (const block of layout.blocks) {
+    if (!Object.prototype.hasOwnProperty.call(values, block.key)) {
+      continue;
+    }
+
+    lines.push(...block.leading);
+
+    if (isEqual(originalData[block.key], values[block.key])) {
+      lines.push(...block.lines);
+    } else {
+      lines.push(dumpKey(block.key, values[block.key]).replace(/\n$/, ''));
+    }
+  }
+
+  const existingKeys = new Set(layout.blocks.map(block => block.key));
+  for (const key of keys.filter(key => !existingKeys.has(key))) {
+    lines.push(dumpKey(key, values[key]).replace(/\n$/, ''));
+  }
+
+  lines.push(...layout.trailing);
+
+  const text = lines.join('\n').replace(/\n+$/, '');
+  const result = text ? `${text}\n` : '';
+
+  // Never write something that doesn't read back as the intended metadata
+  try {
+    if (isEqual(yaml.parse(result) || {}, values)) {
+      return result;
+    }
+  } catch (error) {
+    // Fall through to a plain rewrite
+  }
+
+  return fullDump;
+}
+
+/**
+ * Build the complete text of a markdown file
+ * @param {Object} metadata - Front matter values
+ * @param {string} content - Markdown body
+ * @param {string} [original=''] - The file's current front matter source, to keep its layout and comments
+ * @returns {string} File content
+ */
+function buildMarkdownFile(metadata, content, original = '') {
+  return `---\n${stringifyFrontMatter(metadata, original)}---\n${content}`;
+}
+
+module.exports = {
+  formatFrontMatterDate,
+  stringifyFrontMatter,
+  buildMarkdownFile
+};
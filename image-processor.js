@@ -0,0 +1,378 @@
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { Jimp } = require('jimp');
+const { validateFilePath } = require('./security');
+
+// Formats that are resized; GIFs (possibly animated) and WebP uploads are served as-is
+const RESIZABLE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png'
+};
+
+const JPEG_QUALITY = 80;
+const WEBP_QUALITY = 75;
+
+// Public URL prefixes of uploaded images and of their generated variants
+const MEDIA_URL_PREFIX = '/media/';
+const VARIANT_URL_PREFIX = '/media/resized/';
+
+/**
+ * ImageProcessor - Generates resized JPEG/PNG and WebP variants of uploaded images
+ * Variants are cached on disk and listed in an index so rendering can look them up
+ * synchronously. Images are processed one at a time in the background to keep
+ * memory use predictable on a Raspberry Pi.
+ * Emits 'processed' with the image name once its variants are ready.
+ */
+class ImageProcessor extends EventEmitter {
+  /**
+   * @param {string} mediaPath - Directory of uploaded images
+   * @param {string} cachePath - Directory for generated variants
+   * @param {Object} [options]
+   * @param {number[]} [options.widths] - Variant widths in pixels
+   * @param {string} [options.sizes] - Default `sizes` attribute for rendered images
+   */
+  constructor(mediaPath, cachePath, options = {}) {
+    super();
+    this.mediaPath = mediaPath;
+    this.cachePath = cachePath;
+    this.indexPath = path.join(cachePath, '.index.json'); // Dotfile, so it is never served
+    this.widths = (options.widths || [320, 640, 960, 1280, 1920]).slice().sort((a, b) => a - b);
+    this.sizes = options.sizes || '100vw';
+
+    this.images = {}; // name -> { sourceMtime, sourceSize, width, height, type, variants: [{ width, type, file }] } or { failed: true }
+    this.queue = [];
+    this.processing = null; // Promise of the running queue drain
+    this.webpEncoder = null;
+  }
+
+  /**
+   * Load the variant index and queue any uploads without up-to-date variants
+   */
+  async initialize() {
+    try {
+      const data = await fs.readFile(this.indexPath, 'utf8');
+      this.images = JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[ERROR] ${new Date().toISOString()} - ImageProcessor: Failed to read variant index:`, error.message);
+      }
+      this.images = {};
+    }
+
+    let files = [];
+    try {
+      files = await fs.readdir(this.mediaPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    for (const name of files.filter(file => this._isResizable(file))) {
+      this.process(name);
+    }
+
+    // Forget images that were removed while the server was stopped
+    for (const name of Object.keys(this.images)) {
+      if (!files.includes(name)) {
+        await this.removeVariants(name);
+      }
+    }
+
+    console.log(`[INFO] ${new Date().toISOString()} - ImageProcessor: Initialized with ${Object.keys(this.images).length} image(s), ${this.queue.length} queued`);
+  }
+
+  /**
+   * Queue an uploaded image for variant generation
+   * Images whose variants are already up to date are skipped when processed
+   * @param {string} name - File name in the media directory
+   */
+  process(name) {
+    if (!this._isResizable(name) || this.queue.includes(name)) {
+      return;
+    }
+
+    this.queue.push(name);
+
+    if (!this.processing) {
+      this.processing = this._drainQueue();
+    }
+  }
+
+  /**
+   * Wait until all queued images have been processed
+   * @returns {Promise<void>}
+   */
+  async waitUntilIdle() {
+    while (this.processing) {
+      await this.processing;
+    }
+  }
+
+  /**
+   * Get responsive image attributes for an image URL
+   * Local images without variants yet are queued so later renders include them
+   * @param {string} src - Image URL from the markdown
+   * @returns {Object|null} { width, height, srcset, webpSrcset, sizes } or null if not available
+   */
+  getResponsiveImage(src) {
+    const name = this._getMediaName(src);
+    if (!name) {
+      return null;
+    }
+
+    const image = this.images[name];
+    if (!image) {
+      this.process(name);
+      return null;
+    }
+
+    if (image.failed || image.variants.length === 0) {
+      return null;
+    }
+
+    const toCandidate = variant => `${VARIANT_URL_PREFIX}${encodeURIComponent(variant.file)} ${variant.width}w`;
+
+    const sameFormat = image.variants.filter(variant => variant.type === image.type).map(toCandidate);
+    sameFormat.push(`${MEDIA_URL_PREFIX}${encodeURIComponent(name)} ${image.width}w`);
+
+    const webp = image.variants.filter(variant => variant.type === 'image/webp').map(toCandidate);
+
+    return {
+      width: image.width,
+      height: image.height,
+      srcset: sameFormat.join(', '),
+      webpSrcset: webp.length > 0 ? webp.join(', ') : null,
+      sizes: this.sizes
+    };
+  }
+
+  /**
+   * Delete the generated variants of an image
+   * @param {string} name - File name in the media directory
+   */
+  async removeVariants(name) {
+    const image = this.images[name];
+    if (!image) {
+      return;
+    }
+
+    for (const variant of image.variants || []) {
+      try {
+        await fs.unlink(path.join(this.cachePath, variant.file));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`[WARN] ${new Date().toISOString()} - ImageProcessor: Failed to remove variant ${variant.file}:`, error.message);
+        }
+      }
+    }
+
+    delete this.images[name];
+    await this._saveIndex();
+  }
+
+  /**
+   * Resolve the absolute path of a generated variant
+   * @param {string} file - Variant file name
+   * @returns {Object} { valid: boolean, sanitizedPath: string|null, error: string|null }
+   */
+  resolveVariant(file) {
+    return validateFilePath(file, this.cachePath);
+  }
+
+  /**
+   * Process queued images one at a time
+   * @private
+   */
+  async _drainQueue() {
+    while (this.queue.length > 0) {
+      const name = this.queue[0];
+
+      try {
+        await this._generateVariants(name);
+      } catch (error) {
+        console.error(`[ERROR] ${new Date().toISOString()} - ImageProcessor: Failed to process ${name}:`, error.message);
+      }
+
+      this.queue.shift();
+    }
+
+    this.processing = null;
+  }
+
+  /**
+   * Generate the variants of one image if they are missing or stale
+   * @private
+   */
+  async _generateVariants(name) {
+    const validation = validateFilePath(name, this.mediaPath);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    let stats;
+    try {
+      stats = await fs.stat(validation.sanitizedPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await this.removeVariants(name);
+        return;
+      }
+      throw error;
+    }
+
+    const existing = this.images[name];
+    if (existing && existing.sourceMtime === stats.mtimeMs && existing.sourceSize === stats.size) {
+      return;
+    }
+
+    if (existing) {
+      await this.removeVariants(name);
+    }
+
+    const startTime = Date.now();
+    const type = RESIZABLE_TYPES[path.extname(name).toLowerCase()];
+    const extension = type === 'image/png' ? '.png' : '.jpg';
+
+    let image;
+    try {
+      image = await Jimp.read(validation.sanitizedPath);
+    } catch (error) {
+      // Remember the failure so the image isn't decoded again on every render
+      this.images[name] = { failed: true, sourceMtime: stats.mtimeMs, sourceSize: stats.size, variants: [] };
+      await this._saveIndex();
+      throw error;
+    }
+
+    const entry = {
+      sourceMtime: stats.mtimeMs,
+      sourceSize: stats.size,
+      width: image.width,
+      height: image.height,
+      type,
+      variants: []
+    };
+
+    await fs.mkdir(this.cachePath, { recursive: true });
+
+    const encodeWebp = await this._getWebpEncoder();
+
+    // Largest first, so each step resizes an already smaller copy
+    const widths = this.widths.filter(width => width < image.width).reverse();
+
+    // A full-size WebP is worthwhile unless the original is larger than any variant width
+    if (encodeWebp && image.width <= this.widths[this.widths.length - 1]) {
+      entry.variants.push(await this._writeWebp(encodeWebp, image, `${name}.${image.width}w.webp`));
+    }
+
+    for (const width of widths) {
+      image.resize({ w: width });
+
+      const file = `${name}.${width}w${extension}`;
+      const buffer = type === 'image/png'
+        ? await image.getBuffer('image/png')
+        : await image.getBuffer('image/jpeg', { quality: JPEG_QUALITY });
+
+      await fs.writeFile(path.join(this.cachePath, file), buffer);
+      entry.variants.push({ width: image.width, type, file });
+
+      if (encodeWebp) {
+        entry.variants.push(await this._writeWebp(encodeWebp, image, `${name}.${width}w.webp`));
+      }
+    }
+
+    // Variants are listed smallest first in srcset
+    entry.variants.sort((a, b) => a.width - b.width);
+
+    this.images[name] = entry;
+    await this._saveIndex();
+
+    console.log(`[INFO] ${new Date().toISOString()} - ImageProcessor: Generated ${entry.variants.length} variant(s) of ${name} in ${Date.now() - startTime}ms`);
+    this.emit('processed', name);
+  }
+
+  /**
+   * Encode the current bitmap as WebP and write it to the cache
+   * @private
+   */
+  async _writeWebp(encodeWebp, image, file) {
+    const data = await encodeWebp(image.bitmap, { quality: WEBP_QUALITY });
+    await fs.writeFile(path.join(this.cachePath, file), Buffer.from(data));
+    return { width: image.width, type: 'image/webp', file };
+  }
+
+  /**
+   * Load the WebP encoder (WebAssembly, no native build) on first use
+   * The wasm file is compiled from disk because the encoder would otherwise
+   * try to fetch it by URL, which Node does not support for local files
+   * @private
+   * @returns {Promise<Function|null>} Encoder, or null if unavailable
+   */
+  _getWebpEncoder() {
+    if (!this.webpEncoder) {
+      this.webpEncoder = (async () => {
+        try {
+          const { default: encode, init } = await import('@jsquash/webp/encode.js');
+          const codecDir = path.join(path.dirname(require.resolve('@jsquash/webp/package.json')), 'codec', 'enc');
+
+          // The encoder picks its SIMD build when the runtime supports it; load the matching binary
+          const simdBinary = fsSync.readFileSync(path.join(codecDir, 'webp_enc_simd.wasm'));
+          const binary = WebAssembly.validate(simdBinary)
+            ? simdBinary
+            : fsSync.readFileSync(path.join(codecDir, 'webp_enc.wasm'));
+
+          await init(await WebAssembly.compile(binary));
+          return encode;
+        } catch (error) {
+          console.warn(`[WARN] ${new Date().toISOString()} - ImageProcessor: WebP encoder unavailable, generating JPEG/PNG only:`, error.message);
+          return null;
+        }
+      })();
+    }
+
+    return this.webpEncoder;
+  }
+
+  /**
+   * Extract the media file name from a local image URL
+   * @private
+   */
+  _getMediaName(src) {
+    if (!src || !src.startsWith(MEDIA_URL_PREFIX)) {
+      return null;
+    }
+
+    let name;
+    try {
+      name = decodeURIComponent(src.slice(MEDIA_URL_PREFIX.length).split(/[?#]/)[0]);
+    } catch (error) {
+      return null;
+    }
+
+    if (!name || name.includes('/') || name.includes('\\') || !this._isResizable(name)) {
+      return null;
+    }
+
+    return name;
+  }
+
+  /**
+   * @private
+   */
+  _isResizable(name) {
+    return !name.startsWith('.') && Boolean(RESIZABLE_TYPES[path.extname(name).toLowerCase()]);
+  }
+
+  /**
+   * @private
+   */
+  async _saveIndex() {
+    await fs.mkdir(this.cachePath, { recursive: true });
+    await fs.writeFile(this.indexPath, JSON.stringify(this.images, null, 2), 'utf8');
+  }
+}
+
+module.exports = ImageProcessor;
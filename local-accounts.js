@@ -0,0 +1,235 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters; stored with every hash so they can be raised later
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 1024;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} `scrypt$N$r$p$salt$hash`, salt and hash base64-encoded
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_LENGTH);
+  const hash = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain text password
+ * @param {string} stored - Hash from hashPassword()
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const parts = String(stored || '').split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return false;
+  }
+
+  const [N, r, p] = parts.slice(1, 4).map(Number);
+  const salt = Buffer.from(parts[4], 'base64');
+  const expected = Buffer.from(parts[5], 'base64');
+
+  try {
+    const hash = await scrypt(password, salt, expected.length, { N, r, p });
+    return crypto.timingSafeEqual(hash, expected);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * LocalAccounts - Username and password accounts for signing in without an external provider
+ * Accounts are stored in config/users.json with scrypt password hashes. The file is read on
+ * every use, so accounts added with `npm run users` work without restarting the server.
+ * An account only identifies a user; whether they may use the admin is still decided by
+ * the allowed users list in the site settings.
+ */
+class LocalAccounts {
+  /**
+   * @param {string} configPath - Path of the accounts JSON file
+   */
+  constructor(configPath) {
+    this.configPath = configPath;
+    this.dummyHash = null; // Compared against for unknown usernames, so they take as long as known ones
+  }
+
+  /**
+   * Read stored accounts
+   * @private
+   * @returns {Promise<Array<Object>>} [{ username, email, name, passwordHash, createdAt }]
+   */
+  async _read() {
+    try {
+      const data = await fs.readFile(this.configPath, 'utf8');
+      return JSON.parse(data).users || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[ERROR] ${new Date().toISOString()} - LocalAccounts: Failed to read accounts:`, error.message);
+      }
+      return [];
+    }
+  }
+
+  /**
+   * Write stored accounts, readable only by the server's user
+   * @private
+   */
+  async _write(users) {
+    await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+    await fs.writeFile(this.configPath, JSON.stringify({ users }, null, 2), { encoding: 'utf8', mode: 0o600 });
+  }
+
+  /**
+   * Get all accounts without their password hashes, sorted by username
+   * @returns {Promise<Array<{username: string, email: string, name: string, createdAt: string}>>}
+   */
+  async list() {
+    const users = await this._read();
+    return users
+      .map(({ username, email, name, createdAt }) => ({ username, email, name, createdAt }))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  /**
+   * Check a password against the length rules
+   * @returns {Object} { valid: boolean, error: string|null }
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return { valid: false, error: `Passwords must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+
+    if (password.length > MAX_PASSWORD_LENGTH) {
+      return { valid: false, error: `Passwords must be at most ${MAX_PASSWORD_LENGTH} characters` };
+    }
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Create an account
+   * @param {Object} account
+   * @param {string} account.username - Sign-in name (letters, numbers, `.`, `_` and `-`)
+   * @param {string} account.email - Email address checked against the allowed users list
+   * @param {string} [account.name] - Display name (defaults to the username)
+   * @param {string} account.password - Plain text password
+   * @returns {Promise<Object>} { valid: boolean, error: string|null }
+   */
+  async add({ username, email, name, password }) {
+    const normalized = String(username || '').trim().toLowerCase();
+    if (!/^[a-z0-9][a-z0-9._-]{1,39}$/.test(normalized)) {
+      return { valid: false, error: 'Usernames must be 2-40 characters: letters, numbers, ., _ and -' };
+    }
+
+    const address = String(email || '').trim();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(address)) {
+      return { valid: false, error: 'A valid email address is required' };
+    }
+
+    const passwordValidation = this.validatePassword(password);
+    if (!passwordValidation.valid) {
+      return passwordValidation;
+    }
+
+    const users = await this._read();
+    if (users.some(user => user.username === normalized)) {
+      return { valid: false, error: `An account named ${normalized} already exists` };
+    }
+
+    users.push({
+      username: normalized,
+      email: address,
+      name: String(name || '').trim() || normalized,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString()
+    });
+    await this._write(users);
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Change the password of an account
+   * @param {string} username - Account username
+   * @param {string} password - New plain text password
+   * @returns {Promise<Object>} { valid: boolean, error: string|null }
+   */
+  async setPassword(username, password) {
+    const passwordValidation = this.validatePassword(password);
+    if (!passwordValidation.valid) {
+      return passwordValidation;
+    }
+
+    const users = await this._read();
+    const user = users.find(entry => entry.username === String(username || '').toLowerCase());
+    if (!user) {
+      return { valid: false, error: 'Account not found' };
+    }
+
+    user.passwordHash = await hashPassword(password);
+    await this._write(users);
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Delete an account
+   * @param {string} username - Account username
+   * @returns {Promise<boolean>} True if an account was deleted
+   */
+  async remove(username) {
+    const users = await this._read();
+    const remaining = users.filter(user => user.username !== String(username || '').toLowerCase());
+
+    if (remaining.length === users.length) {
+      return false;
+    }
+
+    await this._write(remaining);
+    return true;
+  }
+
+  /**
+   * Check a username and password
+   * @param {string} username - Username as entered
+   * @param {string} password - Password as entered
+   * @returns {Promise<Object|null>} { username, email, name } or null if they don't match an account
+   */
+  async verify(username, password) {
+    if (typeof password !== 'string' || password.length > MAX_PASSWORD_LENGTH) {
+      return null;
+    }
+
+    const users = await this._read();
+    const user = users.find(entry => entry.username === String(username || '').trim().toLowerCase());
+
+    if (!user) {
+      if (!this.dummyHash) {
+        this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+      }
+      await verifyPassword(password, this.dummyHash);
+      return null;
+    }
+
+    if (!(await verifyPassword(password, user.passwordHash))) {
+      return null;
+    }
+
+    return { username: user.username, email: user.email, name: user.name };
+  }
+}
+
+module.exports = LocalAccounts;
@@ -7,7 +7,10 @@ const MarkdownIt = require('markdown-it');
  * Implements inline code-behind pattern for markdown operations
  */
 class MarkdownHandler {
-  constructor() {
+  /**
+   * @param {ImageProcessor|null} imageProcessor - Provides resized variants of local images (optional)
+   */
+  constructor(imageProcessor = null) {
     // Initialize markdown-it with safe defaults
     this.md = new MarkdownIt({
       html: false,        // Disable HTML tags for security
@@ -16,12 +19,16 @@ class MarkdownHandler {
       linkify: true,      // Auto-convert URLs to links
       typographer: true   // Enable smart quotes and other typographic replacements
     });
+    
+    this.imageProcessor = imageProcessor;
+    this._setupImageRenderer();
   }
 
   /**
    * Parse a markdown file and extract front matter
    * @param {string} filePath - Absolute path to the markdown file
-   * @returns {Promise<{metadata: Object, content: string}>} Parsed front matter and content
+   * @returns {Promise<{metadata: Object, content: string, frontMatter: string}>} Parsed front matter,
+   *   content, and the front matter source (for rewriting the file without losing its layout)
    * @throws {Error} If file cannot be read or parsed
    */
   async parseFile(filePath) {
@@ -30,11 +37,14 @@ class MarkdownHandler {
       const fileContent = await fs.readFile(filePath, 'utf8');
       
       // Parse front matter using gray-matter
-      const parsed = matter(fileContent);
+      // Passing options bypasses gray-matter's cache, whose results share one metadata
+      // object between calls and lack the front matter source
+      const parsed = matter(fileContent, {});
       
       return {
         metadata: parsed.data,      // Front matter as object
-        content: parsed.content     // Markdown content without front matter
+        content: parsed.content,    // Markdown content without front matter
+        frontMatter: parsed.matter  // Front matter YAML as written in the file
       };
     } catch (error) {
       console.error(`[ERROR] ${new Date().toISOString()} - MarkdownHandler: Failed to parse file ${filePath}:`, error.message);
@@ -56,6 +66,25 @@ class MarkdownHandler {
     }
   }
 
+  /**
+   * Render markdown content to plain text (used for search indexing)
+   * @param {string} markdownContent - Raw markdown text
+   * @returns {string} Text with markup removed and whitespace collapsed
+   */
+  renderToText(markdownContent) {
+    const html = this.renderToHtml(markdownContent);
+    
+    return html
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
   /**
    * Validate markdown content for basic well-formedness
    * Checks for valid YAML front matter and basic markdown syntax
@@ -116,6 +145,46 @@ class MarkdownHandler {
       return { valid: false, errors };
     }
   }
+
+  /**
+   * Render images lazily, with srcset/sizes and a WebP source for local images
+   * that have generated variants
+   * @private
+   */
+  _setupImageRenderer() {
+    const defaultImageRule = this.md.renderer.rules.image;
+    const escapeHtml = this.md.utils.escapeHtml;
+    
+    this.md.renderer.rules.image = (tokens, idx, options, env, self) => {
+      const token = tokens[idx];
+      token.attrSet('loading', 'lazy');
+      token.attrSet('decoding', 'async');
+      
+      const responsive = this.imageProcessor
+        ? this.imageProcessor.getResponsiveImage(token.attrGet('src'))
+        : null;
+      
+      if (!responsive) {
+        return defaultImageRule(tokens, idx, options, env, self);
+      }
+      
+      token.attrSet('srcset', responsive.srcset);
+      token.attrSet('sizes', responsive.sizes);
+      token.attrSet('width', String(responsive.width));
+      token.attrSet('height', String(responsive.height));
+      
+      const img = defaultImageRule(tokens, idx, options, env, self);
+      
+      if (!responsive.webpSrcset) {
+        return img;
+      }
+      
+      return '<picture>' +
+        `<source type="image/webp" srcset="${escapeHtml(responsive.webpSrcset)}" sizes="${escapeHtml(responsive.sizes)}"${options.xhtmlOut ? ' /' : ''}>` +
+        img +
+        '</picture>';
+    };
+  }
 }
 
 module.exports = MarkdownHandler;
@@ -0,0 +1,204 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { validateFilePath, sanitizeFilename } = require('./security');
+
+// Image types accepted for upload, with the extension used when saving
+const ALLOWED_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+/**
+ * Detect an image type from the file's leading bytes
+ * The declared Content-Type of an upload is not trusted on its own
+ * @param {Buffer} buffer - File content
+ * @returns {string|null} MIME type, or null if not a supported image
+ */
+function detectImageType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length >= 6 && ['GIF87a', 'GIF89a'].includes(buffer.toString('ascii', 0, 6))) {
+    return 'image/gif';
+  }
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+/**
+ * MediaManager - Stores uploaded images in the content directory
+ * and lists them for the admin media library
+ */
+class MediaManager {
+  constructor(contentPath, mediaDir = 'media', maxUploadSize = 5 * 1024 * 1024) {
+    this.mediaPath = path.join(contentPath, mediaDir);
+    this.maxUploadSize = maxUploadSize;
+  }
+
+  /**
+   * Validate an uploaded file
+   * @param {Buffer} buffer - File content
+   * @param {string} declaredType - Content-Type sent by the client
+   * @returns {Object} { valid: boolean, type: string|null, error: string|null }
+   */
+  validateUpload(buffer, declaredType) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      return { valid: false, type: null, error: 'No file received' };
+    }
+
+    if (buffer.length > this.maxUploadSize) {
+      return { valid: false, type: null, error: `File is larger than ${Math.round(this.maxUploadSize / 1024 / 1024)} MB` };
+    }
+
+    const type = detectImageType(buffer);
+    if (!type) {
+      return { valid: false, type: null, error: 'Unsupported file type. Allowed: JPEG, PNG, GIF, WebP' };
+    }
+
+    if (declaredType && declaredType !== type) {
+      return { valid: false, type: null, error: 'File content does not match its type' };
+    }
+
+    return { valid: true, type, error: null };
+  }
+
+  /**
+   * Save an uploaded image under a unique, sanitized file name
+   * @param {string} originalName - File name supplied by the client
+   * @param {Buffer} buffer - Validated file content
+   * @param {string} type - Detected MIME type (from validateUpload)
+   * @returns {Promise<Object>} Saved media item { name, url, size, type, mtime }
+   */
+  async save(originalName, buffer, type) {
+    await fs.mkdir(this.mediaPath, { recursive: true });
+
+    // Always use the extension of the detected type
+    const extension = ALLOWED_TYPES[type];
+    const baseName = sanitizeFilename(path.basename(originalName || '', path.extname(originalName || '')))
+      .toLowerCase()
+      .substring(0, 100) || 'image';
+
+    let name = `${baseName}${extension}`;
+    let counter = 1;
+
+    // Never overwrite an existing file
+    while (true) {
+      const validation = validateFilePath(name, this.mediaPath);
+      if (!validation.valid) {
+        throw new Error(validation.error);
+      }
+
+      try {
+        await fs.writeFile(validation.sanitizedPath, buffer, { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        name = `${baseName}-${counter++}${extension}`;
+      }
+    }
+
+    return this._presentFile(name, { size: buffer.length, mtime: new Date() });
+  }
+
+  /**
+   * List uploaded images, newest first
+   * @returns {Promise<Array<Object>>} Media items { name, url, size, type, mtime }
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.mediaPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const items = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || entry.name.startsWith('.') || !this._getType(entry.name)) {
+        continue;
+      }
+
+      const stats = await fs.stat(path.join(this.mediaPath, entry.name));
+      items.push(this._presentFile(entry.name, stats));
+    }
+
+    return items.sort((a, b) => b.mtime - a.mtime);
+  }
+
+  /**
+   * Resolve the absolute path of a media file
+   * @param {string} name - Path relative to the media directory
+   * @returns {Object} { valid: boolean, sanitizedPath: string|null, error: string|null }
+   */
+  resolve(name) {
+    return validateFilePath(name, this.mediaPath);
+  }
+
+  /**
+   * Delete an uploaded image
+   * @param {string} name - File name
+   * @returns {Promise<boolean>} True if deleted, false if it didn't exist
+   */
+  async delete(name) {
+    if (sanitizeFilename(name) !== name || !this._getType(name)) {
+      throw new Error('Invalid media file name');
+    }
+
+    const validation = this.resolve(name);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    try {
+      await fs.unlink(validation.sanitizedPath);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * MIME type of a stored file, based on its extension
+   * @private
+   */
+  _getType(name) {
+    const extension = path.extname(name).toLowerCase();
+    if (extension === '.jpeg') {
+      return 'image/jpeg';
+    }
+    return Object.keys(ALLOWED_TYPES).find(type => ALLOWED_TYPES[type] === extension) || null;
+  }
+
+  /**
+   * @private
+   */
+  _presentFile(name, stats) {
+    return {
+      name,
+      url: `/media/${encodeURIComponent(name)}`,
+      size: stats.size,
+      type: this._getType(name),
+      mtime: stats.mtime
+    };
+  }
+}
+
+module.exports = MediaManager;
+module.exports.ALLOWED_TYPES = ALLOWED_TYPES;
+module.exports.detectImageType = detectImageType;
@@ -0,0 +1,300 @@
+const fs = require('fs').promises;
+const path = require('path');
+const permalinks = require('./permalinks');
+
+// Menus every theme can show; more can be added in the admin
+const BUILT_IN_MENUS = ['header', 'footer'];
+
+// Top-level items plus one level of dropdown items
+const MAX_DEPTH = 2;
+
+const MAX_LABEL_LENGTH = 100;
+
+/**
+ * MenuManager - Navigation menus edited in the admin
+ * Menus are stored in config/menus.json as named lists of items:
+ *   { type: 'page', slug, label, hidden, children } - a page; the label defaults to its title
+ *   { type: 'link', url, label, hidden, children }  - a site path or external URL
+ * Until a menu is saved it falls back to its default: the top-level pages for
+ * `header`, nothing for any other menu.
+ */
+class MenuManager {
+  /**
+   * @param {string} configPath - Path of the menus JSON file
+   * @param {ContentIndexer} contentIndexer - Content index, for page items
+   * @param {Object} settingsManager - Site settings, for the permalink pattern
+   */
+  constructor(configPath, contentIndexer, settingsManager) {
+    this.configPath = configPath;
+    this.contentIndexer = contentIndexer;
+    this.settingsManager = settingsManager;
+    this.menus = {}; // name -> [item]
+  }
+
+  /**
+   * Load stored menus
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.configPath, 'utf8');
+      this.menus = JSON.parse(data).menus || {};
+      console.log(`[INFO] ${new Date().toISOString()} - MenuManager: Loaded ${Object.keys(this.menus).length} menu(s)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[ERROR] ${new Date().toISOString()} - MenuManager: Failed to load menus:`, error.message);
+      }
+      this.menus = {};
+    }
+  }
+
+  /**
+   * Save stored menus
+   * @private
+   */
+  async _save() {
+    await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+    await fs.writeFile(this.configPath, JSON.stringify({ menus: this.menus }, null, 2), 'utf8');
+  }
+
+  /**
+   * Get the names of all menus, built-in menus first
+   * @returns {string[]}
+   */
+  getMenuNames() {
+    const custom = Object.keys(this.menus).filter(name => !BUILT_IN_MENUS.includes(name)).sort();
+    return [...BUILT_IN_MENUS, ...custom];
+  }
+
+  /**
+   * Check whether a menu ships with every site and can't be deleted
+   */
+  isBuiltIn(name) {
+    return BUILT_IN_MENUS.includes(name);
+  }
+
+  /**
+   * Check whether a menu has been saved, rather than following its default
+   */
+  isCustomized(name) {
+    return Object.prototype.hasOwnProperty.call(this.menus, name);
+  }
+
+  /**
+   * Get the stored items of a menu, or its default items if it hasn't been saved
+   * @param {string} name - Menu name
+   * @returns {Array<Object>} Menu items
+   */
+  getItems(name) {
+    if (this.isCustomized(name)) {
+      return this.menus[name];
+    }
+
+    if (name !== 'header') {
+      return [];
+    }
+
+    return this.contentIndexer.getPageTree().map(node => ({
+      type: 'page',
+      slug: node.item.slug,
+      label: '',
+      hidden: false,
+      children: []
+    }));
+  }
+
+  /**
+   * Build the links of a menu for a theme
+   * Hidden items and pages that are missing or not public are left out, with their children
+   * @param {string} name - Menu name
+   * @returns {Array<{label: string, url: string|null, external: boolean, children: Array}>}
+   */
+  resolve(name) {
+    return this._resolveItems(this.getItems(name));
+  }
+
+  /**
+   * @private
+   */
+  _resolveItems(items) {
+    const links = [];
+
+    for (const item of items) {
+      if (item.hidden) {
+        continue;
+      }
+
+      const children = this._resolveItems(item.children || []);
+
+      if (item.type === 'page') {
+        const page = this.contentIndexer.getBySlug(item.slug);
+        if (!page || page.type !== 'page' || !this.contentIndexer.isPublic(page)) {
+          continue;
+        }
+
+        links.push({
+          label: item.label || page.title,
+          url: permalinks.getContentUrl(page, this.settingsManager.getPermalinkPattern()),
+          external: false,
+          children
+        });
+      } else {
+        // A link without a URL only makes sense as a dropdown heading
+        if (!item.url && children.length === 0) {
+          continue;
+        }
+
+        links.push({
+          label: item.label,
+          url: item.url || null,
+          external: /^[a-z]+:/i.test(item.url || ''),
+          children
+        });
+      }
+    }
+
+    return links;
+  }
+
+  /**
+   * Check a menu name
+   * @returns {Object} { valid: boolean, error: string|null }
+   */
+  validateName(name) {
+    if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9-]{0,39}$/.test(name)) {
+      return { valid: false, error: 'Menu names may only contain lowercase letters, numbers and -' };
+    }
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Check submitted menu items and strip them down to the stored fields
+   * @param {Array} items - Items as sent by the menu editor
+   * @param {number} [depth=1] - Nesting level of the items
+   * @returns {Object} { valid: boolean, error: string|null, items: Array|null }
+   */
+  validateItems(items, depth = 1) {
+    if (!Array.isArray(items)) {
+      return { valid: false, error: 'Menu items must be a list', items: null };
+    }
+
+    const cleaned = [];
+
+    for (const item of items) {
+      if (!item || typeof item !== 'object') {
+        return { valid: false, error: 'Invalid menu item', items: null };
+      }
+
+      const label = typeof item.label === 'string' ? item.label.trim() : '';
+      if (label.length > MAX_LABEL_LENGTH) {
+        return { valid: false, error: `Labels must be at most ${MAX_LABEL_LENGTH} characters`, items: null };
+      }
+
+      const children = item.children || [];
+      if (children.length > 0 && depth >= MAX_DEPTH) {
+        return { valid: false, error: 'Dropdown items cannot have items of their own', items: null };
+      }
+
+      const childResult = this.validateItems(children, depth + 1);
+      if (!childResult.valid) {
+        return childResult;
+      }
+
+      const entry = { type: item.type };
+
+      if (item.type === 'page') {
+        if (typeof item.slug !== 'string' || !item.slug) {
+          return { valid: false, error: 'Choose a page for every page item', items: null };
+        }
+        entry.slug = item.slug;
+      } else if (item.type === 'link') {
+        const url = typeof item.url === 'string' ? item.url.trim() : '';
+        if (!label) {
+          return { valid: false, error: 'Links need a label', items: null };
+        }
+        if (url && !(/^\/(?!\/)\S*$/.test(url) || /^https?:\/\/[^/\s]\S*$/i.test(url) || /^mailto:\S+$/i.test(url))) {
+          return { valid: false, error: `Link "${label}" must be a path starting with /, an http(s) URL or a mailto: address`, items: null };
+        }
+        if (!url && childResult.items.length === 0) {
+          return { valid: false, error: `Link "${label}" needs a URL unless it has dropdown items`, items: null };
+        }
+        entry.url = url;
+      } else {
+        return { valid: false, error: 'Unknown menu item type', items: null };
+      }
+
+      Object.assign(entry, { label, hidden: Boolean(item.hidden), children: childResult.items });
+      cleaned.push(entry);
+    }
+
+    return { valid: true, error: null, items: cleaned };
+  }
+
+  /**
+   * Store a menu, creating it if it doesn't exist
+   * @param {string} name - Menu name
+   * @param {Array} items - Items as sent by the menu editor
+   * @returns {Promise<Object>} { valid: boolean, error: string|null }
+   */
+  async save(name, items) {
+    const nameValidation = this.validateName(name);
+    if (!nameValidation.valid) {
+      return nameValidation;
+    }
+
+    const result = this.validateItems(items);
+    if (!result.valid) {
+      return { valid: false, error: result.error };
+    }
+
+    this.menus[name] = result.items;
+    await this._save();
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Delete a stored menu; built-in menus go back to their default
+   * @param {string} name - Menu name
+   * @returns {Promise<boolean>} True if a stored menu was deleted
+   */
+  async remove(name) {
+    if (!this.isCustomized(name)) {
+      return false;
+    }
+
+    delete this.menus[name];
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Point page items at a page's new slug after it changed
+   * @param {string} oldSlug - Previous slug
+   * @param {string} newSlug - Current slug
+   * @returns {Promise<number>} Number of items updated
+   */
+  async renamePage(oldSlug, newSlug) {
+    let count = 0;
+
+    const rename = items => {
+      for (const item of items) {
+        if (item.type === 'page' && item.slug === oldSlug) {
+          item.slug = newSlug;
+          count++;
+        }
+        rename(item.children || []);
+      }
+    };
+
+    Object.values(this.menus).forEach(rename);
+
+    if (count > 0) {
+      await this._save();
+    }
+
+    return count;
+  }
+}
+
+module.exports = MenuManager;
@@ -0,0 +1,118 @@
+/**
+ * Permalinks - Blog post URLs built from a configurable pattern such as `/:year/:month/:slug`
+ * Dates use UTC, matching how front matter dates are written
+ */
+
+const DEFAULT_PERMALINK_PATTERN = '/blog/:slug';
+
+// Values each token takes from a blog entry, and the path segment each one matches
+const TOKENS = {
+  year: { value: date => String(date.getUTCFullYear()), pattern: '\\d{4}' },
+  month: { value: date => String(date.getUTCMonth() + 1).padStart(2, '0'), pattern: '\\d{2}' },
+  day: { value: date => String(date.getUTCDate()).padStart(2, '0'), pattern: '\\d{2}' },
+  slug: { value: null, pattern: '[a-z0-9-]+' }
+};
+
+// First path segments already used by other routes ('blog' may still hold posts, as
+// long as they can't shadow its list pages at /blog/page/N)
+const RESERVED_SEGMENTS = [
+  'admin', 'auth', 'blog', 'category', 'login', 'logout', 'media', 'page',
+  'search', 'setup', 'static', 'tag', 'themes'
+];
+
+const compiled = new Map(); // pattern -> RegExp
+
+/**
+ * Check that a permalink pattern is usable
+ * @param {string} pattern - Pattern such as `/:year/:month/:slug`
+ * @returns {Object} { valid: boolean, error: string|null }
+ */
+function validatePattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    return { valid: false, error: 'Permalink pattern must start with /' };
+  }
+
+  const segments = pattern.slice(1).split('/');
+  let slugCount = 0;
+
+  for (const segment of segments) {
+    if (segment.startsWith(':')) {
+      const token = segment.slice(1);
+      if (!TOKENS[token]) {
+        return { valid: false, error: `Unknown permalink token :${token}` };
+      }
+      if (token === 'slug') {
+        slugCount++;
+      }
+    } else if (!/^[a-z0-9_-]+$/.test(segment)) {
+      return { valid: false, error: 'Permalink segments may only contain lowercase letters, numbers, - and _' };
+    }
+  }
+
+  if (slugCount !== 1) {
+    return { valid: false, error: 'Permalink pattern must contain :slug exactly once' };
+  }
+
+  if (segments[0] === 'blog') {
+    // A slug of "page" followed by more segments would also land on /blog/page/N
+    if (segments[1] === 'page' || (segments[1] === ':slug' && segments.length > 2)) {
+      return { valid: false, error: 'Permalinks under /blog cannot overlap its list pages (/blog/page/N)' };
+    }
+  } else if (RESERVED_SEGMENTS.includes(segments[0])) {
+    return { valid: false, error: `Permalinks cannot start with /${segments[0]}` };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Build the URL path of a blog entry
+ * @param {string} pattern - Valid permalink pattern
+ * @param {Object} item - Content item with slug and date
+ * @returns {string} URL path
+ */
+function buildPermalink(pattern, item) {
+  return pattern.replace(/:([a-z]+)/g, (match, token) => {
+    return token === 'slug' ? item.slug : TOKENS[token].value(item.date);
+  });
+}
+
+/**
+ * Get the public URL path of any content item
+ * @param {Object} item - Content item
+ * @param {string} pattern - Permalink pattern for blog entries
+ * @returns {string} URL path
+ */
+function getContentUrl(item, pattern) {
+  return item.type === 'blog' ? buildPermalink(pattern, item) : `/page/${item.slug}`;
+}
+
+/**
+ * Match a request path against a permalink pattern
+ * @param {string} pattern - Valid permalink pattern
+ * @param {string} urlPath - Request path
+ * @returns {Object|null} Token values by name (e.g. { year, month, slug }), or null if the path doesn't match
+ */
+function matchPermalink(pattern, urlPath) {
+  if (!compiled.has(pattern)) {
+    const source = pattern
+      .split('/')
+      .map(segment => (segment.startsWith(':')
+        ? `(?<${segment.slice(1)}>${TOKENS[segment.slice(1)].pattern})`
+        : segment))
+      .join('/');
+
+    compiled.set(pattern, new RegExp(`^${source}/?$`));
+  }
+
+  const match = compiled.get(pattern).exec(urlPath);
+  return match ? { ...match.groups } : null;
+}
+
+module.exports = {
+  DEFAULT_PERMALINK_PATTERN,
+  validatePattern,
+  buildPermalink,
+  getContentUrl,
+  matchPermalink
+};
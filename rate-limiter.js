@@ -0,0 +1,123 @@
+/**
+ * RateLimiter - Counts hits per key (an IP address, username, ...) in fixed time windows
+ * A key gets `max` hits per window, which starts with its first hit; further hits are
+ * refused until the window ends. Counts are kept in memory, so they reset on restart
+ * and are not shared between processes.
+ */
+class RateLimiter {
+  /**
+   * @param {number} max - Hits allowed per window
+   * @param {number} windowMs - Window length in milliseconds
+   */
+  constructor(max, windowMs) {
+    this.max = max;
+    this.windowMs = windowMs;
+    this.hits = new Map(); // key -> { count, resetAt }
+
+    // Drop finished windows so one-off keys don't pile up
+    this.pruneTimer = setInterval(() => this._prune(), windowMs);
+    this.pruneTimer.unref();
+  }
+
+  /**
+   * Get the current window of a key
+   * @private
+   */
+  _getEntry(key) {
+    const entry = this.hits.get(key);
+    return entry && entry.resetAt > Date.now() ? entry : null;
+  }
+
+  /**
+   * Seconds until a key may be used again
+   * @param {string} key - Key to check
+   * @returns {number} 0 if the key has hits left
+   */
+  getRetryAfter(key) {
+    const entry = this._getEntry(key);
+    if (!entry || entry.count < this.max) {
+      return 0;
+    }
+    return Math.ceil((entry.resetAt - Date.now()) / 1000);
+  }
+
+  /**
+   * Use one hit of a key
+   * @param {string} key - Key to count against
+   * @returns {Object} { allowed: boolean, remaining: number, retryAfter: number (seconds) }
+   */
+  consume(key) {
+    let entry = this._getEntry(key);
+    if (!entry) {
+      entry = { count: 0, resetAt: Date.now() + this.windowMs };
+      this.hits.set(key, entry);
+    }
+
+    const retryAfter = Math.ceil((entry.resetAt - Date.now()) / 1000);
+
+    if (entry.count >= this.max) {
+      return { allowed: false, remaining: 0, retryAfter };
+    }
+
+    entry.count++;
+    return { allowed: true, remaining: this.max - entry.count, retryAfter };
+  }
+
+  /**
+   * Forget the hits of a key (e.g. after a successful sign-in)
+   * @param {string} key - Key to reset
+   */
+  reset(key) {
+    this.hits.delete(key);
+  }
+
+  /**
+   * @private
+   */
+  _prune() {
+    const now = Date.now();
+    for (const [key, entry] of this.hits) {
+      if (entry.resetAt <= now) {
+        this.hits.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Create middleware that limits requests with one or more limiters
+ * Each rule counts the request against its own key; the request is refused as soon as
+ * one of them has no hits left
+ * @param {string} name - What is limited, for log messages
+ * @param {Array<{limiter: RateLimiter, key: Function, label: string}>} rules - `key(req)`
+ *   returns the key to count, or null to skip the rule; `label` names the key in logs
+ * @param {Function} onLimited - (req, res, retryAfter) sends the response for a refused request
+ * @returns {Function} Express middleware
+ */
+function rateLimit(name, rules, onLimited) {
+  return (req, res, next) => {
+    for (const rule of rules) {
+      const key = rule.key(req);
+      if (!key) {
+        continue;
+      }
+
+      const result = rule.limiter.consume(key);
+
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+        return onLimited(req, res, result.retryAfter);
+      }
+
+      // Logged once per window, when the last allowed request is used
+      if (result.remaining === 0) {
+        console.warn(`[SECURITY] ${new Date().toISOString()} - Rate limit reached for ${name} requests by ${rule.label} ${key} (${rule.limiter.max} per ${Math.round(rule.limiter.windowMs / 60000)} min)`);
+      }
+    }
+
+    next();
+  };
+}
+
+module.exports = RateLimiter;
+module.exports.rateLimit = rateLimit;
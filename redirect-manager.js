@@ -0,0 +1,204 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const REDIRECT_STATUSES = [301, 302];
+
+/**
+ * Normalize a site path for matching: leading slash, no trailing slash
+ * @param {string} urlPath - Path as entered or requested
+ * @returns {string} Normalized path
+ */
+function normalizePath(urlPath) {
+  const trimmed = String(urlPath || '').trim().split(/[?#]/)[0];
+  const withSlash = trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
+  return withSlash.length > 1 ? withSlash.replace(/\/+$/, '') : withSlash;
+}
+
+/**
+ * RedirectManager - Sends visitors from old URLs to the current location of content
+ * Redirects come from two sources:
+ *   - config/redirects.json: entered in the admin or recorded when an item's URL changes
+ *   - `redirect_from` front matter: a list of old paths of a post or page
+ * They are only consulted for requests that would otherwise be a 404.
+ */
+class RedirectManager {
+  /**
+   * @param {string} configPath - Path of the redirects JSON file
+   * @param {ContentIndexer} contentIndexer - Content index, for `redirect_from` front matter
+   * @param {ViewBuilder} viewBuilder - Builds the current URL of content items
+   */
+  constructor(configPath, contentIndexer, viewBuilder) {
+    this.configPath = configPath;
+    this.contentIndexer = contentIndexer;
+    this.viewBuilder = viewBuilder;
+    this.redirects = []; // [{ from, to, status, automatic, createdAt }]
+  }
+
+  /**
+   * Load stored redirects
+   */
+  async load() {
+    try {
+      const data = await fs.readFile(this.configPath, 'utf8');
+      this.redirects = JSON.parse(data).redirects || [];
+      console.log(`[INFO] ${new Date().toISOString()} - RedirectManager: Loaded ${this.redirects.length} redirect(s)`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[ERROR] ${new Date().toISOString()} - RedirectManager: Failed to load redirects:`, error.message);
+      }
+      this.redirects = [];
+    }
+  }
+
+  /**
+   * Save stored redirects
+   * @private
+   */
+  async _save() {
+    await fs.mkdir(path.dirname(this.configPath), { recursive: true });
+    await fs.writeFile(this.configPath, JSON.stringify({ redirects: this.redirects }, null, 2), 'utf8');
+  }
+
+  /**
+   * Get stored redirects sorted by source path
+   * @returns {Array<{from: string, to: string, status: number, automatic: boolean, createdAt: string}>}
+   */
+  list() {
+    return this.redirects.slice().sort((a, b) => a.from.localeCompare(b.from));
+  }
+
+  /**
+   * Get the `redirect_from` paths declared in front matter
+   * @returns {Array<{from: string, to: string, item: Object}>} Sorted by source path
+   */
+  listFrontMatterRedirects() {
+    const redirects = [];
+
+    for (const item of [...this.contentIndexer.getBlogEntries(), ...this.contentIndexer.getPages()]) {
+      for (const from of this._getRedirectFrom(item)) {
+        redirects.push({ from, to: this.viewBuilder.getContentUrl(item), item });
+      }
+    }
+
+    return redirects.sort((a, b) => a.from.localeCompare(b.from));
+  }
+
+  /**
+   * Find where a request path should be redirected
+   * Stored redirects take precedence over front matter
+   * @param {string} urlPath - Request path
+   * @returns {Object|null} { to, status } or null if there is no redirect
+   */
+  resolve(urlPath) {
+    const from = normalizePath(urlPath);
+
+    const stored = this.redirects.find(redirect => redirect.from === from);
+    if (stored) {
+      return { to: stored.to, status: stored.status };
+    }
+
+    for (const item of [...this.contentIndexer.getBlogEntries(), ...this.contentIndexer.getPages()]) {
+      if (this._getRedirectFrom(item).includes(from)) {
+        return { to: this.viewBuilder.getContentUrl(item), status: 301 };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check a redirect before it is stored
+   * @returns {Object} { valid: boolean, error: string|null }
+   */
+  validate(from, to, status) {
+    if (typeof from !== 'string' || !from.trim().startsWith('/') || from.trim().startsWith('//') || /\s/.test(from.trim())) {
+      return { valid: false, error: 'Source must be a path starting with /' };
+    }
+
+    if (typeof to !== 'string' || /\s/.test(to.trim()) ||
+        !(/^\/(?!\/)/.test(to.trim()) || /^https?:\/\/[^/]/i.test(to.trim()))) {
+      return { valid: false, error: 'Target must be a path starting with / or an http(s) URL' };
+    }
+
+    if (normalizePath(from) === normalizePath(to)) {
+      return { valid: false, error: 'Source and target are the same' };
+    }
+
+    if (!REDIRECT_STATUSES.includes(status)) {
+      return { valid: false, error: 'Status must be 301 or 302' };
+    }
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Store a redirect, replacing any existing redirect from the same path
+   * Redirects that pointed at the source are updated to point at the new target,
+   * so visitors never follow a chain, and a redirect back from the target is dropped
+   * @param {string} from - Old path
+   * @param {string} to - New path or absolute URL
+   * @param {Object} [options]
+   * @param {number} [options.status=301] - HTTP status
+   * @param {boolean} [options.automatic=false] - Recorded by the system rather than entered by a user
+   * @returns {Promise<Object>} { valid: boolean, error: string|null }
+   */
+  async add(from, to, { status = 301, automatic = false } = {}) {
+    const validation = this.validate(from, to, status);
+    if (!validation.valid) {
+      return validation;
+    }
+
+    const source = normalizePath(from);
+    const target = to.trim().startsWith('/') ? normalizePath(to) : to.trim();
+
+    this.redirects = this.redirects.filter(redirect => redirect.from !== source && redirect.from !== target);
+
+    for (const redirect of this.redirects) {
+      if (redirect.to === source) {
+        redirect.to = target;
+      }
+    }
+
+    this.redirects.push({ from: source, to: target, status, automatic, createdAt: new Date().toISOString() });
+    await this._save();
+
+    return { valid: true, error: null };
+  }
+
+  /**
+   * Delete a stored redirect
+   * @param {string} from - Old path
+   * @returns {Promise<boolean>} True if a redirect was deleted
+   */
+  async remove(from) {
+    const source = normalizePath(from);
+    const count = this.redirects.length;
+
+    this.redirects = this.redirects.filter(redirect => redirect.from !== source);
+
+    if (this.redirects.length === count) {
+      return false;
+    }
+
+    await this._save();
+    return true;
+  }
+
+  /**
+   * Read the `redirect_from` front matter list of an item
+   * @private
+   */
+  _getRedirectFrom(item) {
+    const value = item.metadata.redirect_from;
+
+    if (!value) {
+      return [];
+    }
+
+    return (Array.isArray(value) ? value : [value])
+      .filter(from => typeof from === 'string' && from.trim())
+      .map(normalizePath);
+  }
+}
+
+module.exports = RedirectManager;
@@ -0,0 +1,103 @@
+const v8 = require('v8');
+
+// Share of the V8 heap used when no explicit budget is configured
+// (about 12 MB under `npm run start:pi`, which caps the heap at 192 MB)
+const DEFAULT_HEAP_SHARE = 0.05;
+const MAX_DEFAULT_BUDGET = 32 * 1024 * 1024;
+
+/**
+ * Estimate the heap size of a cached value
+ * JavaScript strings use up to two bytes per character
+ */
+function estimateSize(value) {
+  return JSON.stringify(value).length * 2;
+}
+
+/**
+ * RenderCache - Bounded LRU cache of rendered content, keyed by slug and file mtime
+ * Entries are evicted least recently used first once the memory budget is exceeded
+ */
+class RenderCache {
+  /**
+   * @param {number|null} maxBytes - Memory budget in bytes (null picks a share of the heap limit)
+   */
+  constructor(maxBytes = null) {
+    this.maxBytes = maxBytes || Math.min(
+      Math.floor(v8.getHeapStatistics().heap_size_limit * DEFAULT_HEAP_SHARE),
+      MAX_DEFAULT_BUDGET
+    );
+    this.entries = new Map(); // slug -> { mtime, value, size }; Map order is least to most recently used
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Get a cached value if it was rendered from the same version of the file
+   * @param {string} slug - Content slug
+   * @param {Date} mtime - Current modification time of the content file
+   * @returns {*} Cached value, or undefined on a miss
+   */
+  get(slug, mtime) {
+    const entry = this.entries.get(slug);
+
+    if (!entry || entry.mtime !== mtime.getTime()) {
+      return undefined;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(slug);
+    this.entries.set(slug, entry);
+
+    return entry.value;
+  }
+
+  /**
+   * Store a rendered value, evicting least recently used entries to stay within budget
+   * @param {string} slug - Content slug
+   * @param {Date} mtime - Modification time of the file the value was rendered from
+   * @param {*} value - JSON-serializable value to cache
+   */
+  set(slug, mtime, value) {
+    this.invalidate(slug);
+
+    const size = estimateSize(value);
+
+    // Don't let a single huge item flush the whole cache
+    if (size > this.maxBytes / 4) {
+      return;
+    }
+
+    this.entries.set(slug, { mtime: mtime.getTime(), value, size });
+    this.totalBytes += size;
+
+    for (const [oldestSlug, oldest] of this.entries) {
+      if (this.totalBytes <= this.maxBytes) {
+        break;
+      }
+      this.entries.delete(oldestSlug);
+      this.totalBytes -= oldest.size;
+    }
+  }
+
+  /**
+   * Drop the cached value of one item
+   * @param {string} slug - Content slug
+   */
+  invalidate(slug) {
+    const entry = this.entries.get(slug);
+
+    if (entry) {
+      this.entries.delete(slug);
+      this.totalBytes -= entry.size;
+    }
+  }
+
+  /**
+   * Drop all cached values
+   */
+  clear() {
+    this.entries.clear();
+    this.totalBytes = 0;
+  }
+}
+
+module.exports = RenderCache;
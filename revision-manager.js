@@ -0,0 +1,341 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { validateFilePath } = require('./security');
+
+// Above this many line comparisons a diff is shown as a full replacement
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * RevisionManager - Stores prior versions of content files before they are
+ * overwritten or deleted, so any save or delete can be rolled back
+ *
+ * Layout: <contentPath>/<revisionsDir>/<type dir>/<file name>/
+ *   manifest.json   - { filePath, slug, title, deleted, revisions: [{ id, action, user, createdAt }] }
+ *   <id>.md         - file content as it was before the action
+ */
+class RevisionManager {
+  constructor(contentPath, revisionsDir = '.revisions', maxRevisions = 50) {
+    this.contentPath = contentPath;
+    this.revisionsPath = path.join(contentPath, revisionsDir);
+    this.maxRevisions = maxRevisions;
+  }
+
+  /**
+   * Store the current content of a file as a revision
+   * @param {string} filePath - Path of the content file about to change
+   * @param {string} action - What is about to happen ('update', 'reorder', 'delete', 'restore')
+   * @param {string} userEmail - User performing the action
+   * @param {Object} [info] - Current slug and title of the item
+   * @returns {Promise<Object|null>} The stored revision, or null if the file doesn't exist
+   */
+  async saveRevision(filePath, action, userEmail, info = {}) {
+    let fileContent;
+    try {
+      fileContent = await fs.readFile(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    const relativePath = this._getRelativePath(filePath);
+    const itemDir = this._getItemDir(relativePath);
+    await fs.mkdir(itemDir, { recursive: true });
+
+    const manifest = await this._readManifest(itemDir) || {
+      filePath: relativePath,
+      revisions: []
+    };
+
+    const revision = {
+      id: this._generateId(manifest),
+      action,
+      user: userEmail,
+      createdAt: new Date().toISOString()
+    };
+
+    await fs.writeFile(path.join(itemDir, `${revision.id}.md`), fileContent, 'utf8');
+
+    manifest.slug = info.slug || manifest.slug;
+    manifest.title = info.title || manifest.title;
+    manifest.deleted = action === 'delete';
+    manifest.revisions.push(revision);
+
+    await this._pruneRevisions(itemDir, manifest);
+    await this._writeManifest(itemDir, manifest);
+
+    console.log(`[REVISION] ${revision.createdAt} - Saved ${relativePath} before ${action} (${revision.id}) - User: ${userEmail}`);
+
+    return revision;
+  }
+
+  /**
+   * Mark an item as no longer deleted (e.g. after its file is restored or recreated)
+   * @param {string} filePath - Path of the content file
+   */
+  async markRestored(filePath) {
+    const itemDir = this._getItemDir(this._getRelativePath(filePath));
+    const manifest = await this._readManifest(itemDir);
+
+    if (manifest && manifest.deleted) {
+      manifest.deleted = false;
+      await this._writeManifest(itemDir, manifest);
+    }
+  }
+
+  /**
+   * List every item that has stored revisions
+   * @returns {Promise<Array<Object>>} Manifests (newest revision first within each), sorted by last change
+   */
+  async listItems() {
+    const items = [];
+
+    let typeDirs;
+    try {
+      typeDirs = await fs.readdir(this.revisionsPath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return items;
+      }
+      throw error;
+    }
+
+    for (const typeDir of typeDirs.filter(entry => entry.isDirectory())) {
+      const typePath = path.join(this.revisionsPath, typeDir.name);
+      const itemDirs = await fs.readdir(typePath, { withFileTypes: true });
+
+      for (const itemDir of itemDirs.filter(entry => entry.isDirectory())) {
+        const manifest = await this._readManifest(path.join(typePath, itemDir.name));
+        if (manifest && manifest.revisions.length > 0) {
+          items.push(this._presentManifest(manifest));
+        }
+      }
+    }
+
+    return items.sort((a, b) => b.revisions[0].createdAt.localeCompare(a.revisions[0].createdAt));
+  }
+
+  /**
+   * Find the revision history of an item by slug
+   * Prefers the item's current file when several files have used the same slug
+   * @param {string} slug - Item slug
+   * @param {string|null} currentFilePath - File path of the indexed item, if it still exists
+   * @returns {Promise<Object|null>} Manifest with revisions newest first, or null
+   */
+  async getHistory(slug, currentFilePath = null) {
+    if (currentFilePath) {
+      const manifest = await this._readManifest(this._getItemDir(this._getRelativePath(currentFilePath)));
+      if (manifest) {
+        return this._presentManifest(manifest);
+      }
+    }
+
+    const items = await this.listItems();
+    return items.find(item => item.slug === slug) || null;
+  }
+
+  /**
+   * Read the content of a stored revision
+   * @param {Object} history - Manifest returned by getHistory()
+   * @param {string} revisionId - Revision id
+   * @returns {Promise<string>} File content of the revision
+   */
+  async getRevisionContent(history, revisionId) {
+    if (!history.revisions.some(revision => revision.id === revisionId)) {
+      throw new Error(`Revision ${revisionId} not found`);
+    }
+
+    const itemDir = this._getItemDir(history.filePath);
+    return fs.readFile(path.join(itemDir, `${revisionId}.md`), 'utf8');
+  }
+
+  /**
+   * Restore a revision to the item's original file path
+   * The current file (if any) is saved as a revision first so the restore can be undone
+   * @param {Object} history - Manifest returned by getHistory()
+   * @param {string} revisionId - Revision id to restore
+   * @param {string} userEmail - User performing the restore
+   * @returns {Promise<string>} Absolute path of the restored file
+   */
+  async restore(history, revisionId, userEmail) {
+    const validation = validateFilePath(history.filePath, this.contentPath);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+
+    const revisionContent = await this.getRevisionContent(history, revisionId);
+    const targetPath = validation.sanitizedPath;
+
+    await this.saveRevision(targetPath, 'restore', userEmail, { slug: history.slug, title: history.title });
+
+    await fs.mkdir(path.dirname(targetPath), { recursive: true });
+    await fs.writeFile(targetPath, revisionContent, 'utf8');
+    await this.markRestored(targetPath);
+
+    return targetPath;
+  }
+
+  /**
+   * Path of a content file relative to the content directory (always with forward slashes)
+   * @private
+   */
+  _getRelativePath(filePath) {
+    return path.relative(path.resolve(this.contentPath), path.resolve(filePath)).split(path.sep).join('/');
+  }
+
+  /**
+   * Revisions directory for a content file
+   * @private
+   */
+  _getItemDir(relativePath) {
+    const validation = validateFilePath(relativePath.replace(/\.md$/, ''), this.revisionsPath);
+    if (!validation.valid) {
+      throw new Error(validation.error);
+    }
+    return validation.sanitizedPath;
+  }
+
+  /**
+   * Generate a sortable, unique revision id
+   * @private
+   */
+  _generateId(manifest) {
+    const base = new Date().toISOString().replace(/[:.]/g, '-');
+    let id = base;
+    let counter = 1;
+
+    while (manifest.revisions.some(revision => revision.id === id)) {
+      id = `${base}-${counter++}`;
+    }
+
+    return id;
+  }
+
+  /**
+   * Drop the oldest revisions beyond the configured limit
+   * @private
+   */
+  async _pruneRevisions(itemDir, manifest) {
+    while (manifest.revisions.length > this.maxRevisions) {
+      const oldest = manifest.revisions.shift();
+      try {
+        await fs.unlink(path.join(itemDir, `${oldest.id}.md`));
+      } catch (error) {
+        console.warn(`[WARN] ${new Date().toISOString()} - RevisionManager: Failed to prune revision ${oldest.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Copy a manifest with revisions ordered newest first
+   * @private
+   */
+  _presentManifest(manifest) {
+    return {
+      ...manifest,
+      revisions: manifest.revisions.slice().reverse()
+    };
+  }
+
+  /**
+   * @private
+   */
+  async _readManifest(itemDir) {
+    try {
+      const data = await fs.readFile(path.join(itemDir, 'manifest.json'), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[ERROR] ${new Date().toISOString()} - RevisionManager: Failed to read manifest in ${itemDir}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _writeManifest(itemDir, manifest) {
+    await fs.writeFile(path.join(itemDir, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8');
+  }
+}
+
+/**
+ * Compute a line-by-line diff between two texts
+ * @param {string} oldText - Previous version
+ * @param {string} newText - New version
+ * @returns {Array<{type: string, line: string}>} Lines tagged 'same', 'removed' or 'added'
+ */
+function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Strip common prefix and suffix to keep the comparison table small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const prefix = a.slice(0, start).map(line => ({ type: 'same', line }));
+  const suffix = a.slice(endA).map(line => ({ type: 'same', line }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  if (midA.length * midB.length > MAX_DIFF_CELLS) {
+    return [
+      ...prefix,
+      ...midA.map(line => ({ type: 'removed', line })),
+      ...midB.map(line => ({ type: 'added', line })),
+      ...suffix
+    ];
+  }
+
+  // Longest common subsequence table
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  const lcs = new Uint32Array(rows * cols);
+
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: 'same', line: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      middle.push({ type: 'removed', line: midA[i++] });
+    } else {
+      middle.push({ type: 'added', line: midB[j++] });
+    }
+  }
+
+  while (i < midA.length) {
+    middle.push({ type: 'removed', line: midA[i++] });
+  }
+  while (j < midB.length) {
+    middle.push({ type: 'added', line: midB[j++] });
+  }
+
+  return [...prefix, ...middle, ...suffix];
+}
+
+module.exports = RevisionManager;
+module.exports.diffLines = diffLines;
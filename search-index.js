@@ -0,0 +1,210 @@
+/**
+ * SearchIndex - In-memory inverted index for full-text search
+ * Maintained by ContentIndexer alongside its slug index
+ */
+
+// Relative weight of a title match compared to a body match
+const TITLE_WEIGHT = 5;
+
+// Characters of context shown around the first match in a snippet
+const SNIPPET_BEFORE = 60;
+const SNIPPET_AFTER = 140;
+
+/**
+ * Split text into lowercase search terms
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Terms (at least 2 characters long)
+ */
+function tokenize(text) {
+  if (!text) {
+    return [];
+  }
+
+  return String(text)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term.length > 1);
+}
+
+/**
+ * Escape text for inclusion in HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#x27;');
+}
+
+/**
+ * Escape a string for use inside a regular expression
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+class SearchIndex {
+  constructor() {
+    this.terms = new Map(); // term -> Map(slug -> { title: count, body: count })
+    this.documents = new Map(); // slug -> { title, text, terms: Set }
+  }
+
+  /**
+   * Add or replace a document in the index
+   * @param {string} slug - Document slug
+   * @param {string} title - Document title
+   * @param {string} text - Plain text body
+   */
+  add(slug, title, text) {
+    this.remove(slug);
+
+    const docTerms = new Set();
+
+    const count = (terms, field) => {
+      for (const term of terms) {
+        if (!this.terms.has(term)) {
+          this.terms.set(term, new Map());
+        }
+
+        const postings = this.terms.get(term);
+        if (!postings.has(slug)) {
+          postings.set(slug, { title: 0, body: 0 });
+        }
+
+        postings.get(slug)[field]++;
+        docTerms.add(term);
+      }
+    };
+
+    count(tokenize(title), 'title');
+    count(tokenize(text), 'body');
+
+    this.documents.set(slug, { title, text, terms: docTerms });
+  }
+
+  /**
+   * Remove a document from the index
+   * @param {string} slug - Document slug
+   */
+  remove(slug) {
+    const doc = this.documents.get(slug);
+    if (!doc) {
+      return;
+    }
+
+    for (const term of doc.terms) {
+      const postings = this.terms.get(term);
+      if (postings) {
+        postings.delete(slug);
+        if (postings.size === 0) {
+          this.terms.delete(term);
+        }
+      }
+    }
+
+    this.documents.delete(slug);
+  }
+
+  /**
+   * Search the index
+   * Documents matching more query terms rank first, then by weighted score
+   * @param {string} query - Free-text query
+   * @returns {Array<{slug: string, score: number, title: string, snippet: string}>}
+   *   Ranked results; `title` and `snippet` are HTML-escaped with matches wrapped in <mark>
+   */
+  search(query) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) {
+      return [];
+    }
+
+    const totalDocs = this.documents.size;
+    const scores = new Map(); // slug -> { score, matched }
+
+    for (const term of queryTerms) {
+      const postings = this.terms.get(term);
+      if (!postings) {
+        continue;
+      }
+
+      // Rare terms count for more than common ones
+      const idf = Math.log(1 + totalDocs / postings.size);
+
+      for (const [slug, counts] of postings) {
+        const entry = scores.get(slug) || { score: 0, matched: 0 };
+        entry.score += (counts.title * TITLE_WEIGHT + counts.body) * idf;
+        entry.matched++;
+        scores.set(slug, entry);
+      }
+    }
+
+    const highlighter = new RegExp(`(${queryTerms.map(escapeRegExp).join('|')})`, 'giu');
+
+    return Array.from(scores.entries())
+      .sort((a, b) => (b[1].matched - a[1].matched) || (b[1].score - a[1].score))
+      .map(([slug, { score }]) => {
+        const doc = this.documents.get(slug);
+        return {
+          slug,
+          score,
+          title: this._highlight(doc.title, highlighter),
+          snippet: this._buildSnippet(doc.text, highlighter)
+        };
+      });
+  }
+
+  /**
+   * Extract a highlighted snippet around the first match in the text
+   * @private
+   */
+  _buildSnippet(text, highlighter) {
+    if (!text) {
+      return '';
+    }
+
+    highlighter.lastIndex = 0;
+    const match = highlighter.exec(text);
+    const matchIndex = match ? match.index : 0;
+
+    let start = Math.max(0, matchIndex - SNIPPET_BEFORE);
+    let end = Math.min(text.length, matchIndex + SNIPPET_AFTER);
+
+    // Avoid cutting words in half
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      if (space !== -1 && space < matchIndex) {
+        start = space + 1;
+      }
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      if (space > matchIndex) {
+        end = space;
+      }
+    }
+
+    const prefix = start > 0 ? '… ' : '';
+    const suffix = end < text.length ? ' …' : '';
+
+    return prefix + this._highlight(text.slice(start, end), highlighter) + suffix;
+  }
+
+  /**
+   * HTML-escape text and wrap query term matches in <mark>
+   * @private
+   */
+  _highlight(text, highlighter) {
+    if (!text) {
+      return '';
+    }
+
+    return String(text)
+      .split(highlighter)
+      .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+      .join('');
+  }
+}
+
+module.exports = SearchIndex;
@@ -144,6 +144,17 @@ function isPathInContentDirectory(filePath, contentPath) {
   return resolvedFile.startsWith(resolvedContent);
 }
 
+/**
+ * Get the IP address a request came from
+ * Behind a reverse proxy this is only the visitor's address when `trust proxy` is set
+ * @param {Object} req - Express request
+ * @returns {string} IP address, with IPv4 addresses in their usual form
+ */
+function getClientIp(req) {
+  // IPv4 visitors reach a dual-stack server as ::ffff:a.b.c.d
+  return (req.ip || req.socket.remoteAddress || '').replace(/^::ffff:(?=\d+\.)/, '');
+}
+
 /**
  * Sanitize user input for display (prevent XSS)
  * @param {string} input - User input
@@ -163,6 +174,24 @@ function sanitizeInput(input) {
     .replace(/\//g, '&#x2F;');
 }
 
+/**
+ * Escape text for inclusion in XML documents (feeds, sitemaps)
+ * @param {string} input - Raw text
+ * @returns {string} XML-safe text
+ */
+function escapeXml(input) {
+  if (input === null || input === undefined) {
+    return '';
+  }
+  
+  return String(input)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
 module.exports = {
   validateFilePath,
   sanitizeFilename,
@@ -170,5 +199,7 @@ module.exports = {
   csrfMiddleware,
   verifyCsrfToken,
   isPathInContentDirectory,
-  sanitizeInput
+  getClientIp,
+  sanitizeInput,
+  escapeXml
 };
@@ -1,23 +1,46 @@
 const express = require('express');
-const passport = require('passport');
+const crypto = require('crypto');
 const path = require('path');
 const config = require('./config');
-const { configureAuth, requireAuth, logout } = require('./auth');
+const { configureAuth, initializeProviders, getProviders, authorizeUser, authenticate, requireAuth, requireRole, canEditContent, logout } = require('./auth');
 const ContentIndexer = require('./content-indexer');
 const MarkdownHandler = require('./markdown-handler');
 const ThemeManager = require('./theme-manager');
+const FeedGenerator = require('./feed-generator');
+const SitemapGenerator = require('./sitemap-generator');
+const RevisionManager = require('./revision-manager');
+const { diffLines } = require('./revision-manager');
+const MediaManager = require('./media-manager');
+const { ALLOWED_TYPES } = require('./media-manager');
+const ImageProcessor = require('./image-processor');
+const RenderCache = require('./render-cache');
+const ViewBuilder = require('./view-builder');
+const RedirectManager = require('./redirect-manager');
+const MenuManager = require('./menu-manager');
+const LocalAccounts = require('./local-accounts');
+const AuditLog = require('./audit-log');
+const RateLimiter = require('./rate-limiter');
+const { rateLimit } = require('./rate-limiter');
+const { ACTIONS: AUDIT_ACTIONS, FIELDS: AUDIT_FIELDS, hashValue } = require('./audit-log');
+const { buildMarkdownFile } = require('./front-matter');
+const { DEFAULT_PERMALINK_PATTERN, validatePattern, matchPermalink } = require('./permalinks');
 const settingsManager = require('./settings-manager');
+const { ROLES, SETTINGS_FILE, normalizeEmail } = require('./settings-manager');
 const { 
   validateFilePath, 
   sanitizeFilename, 
   csrfMiddleware, 
   verifyCsrfToken,
-  isPathInContentDirectory 
+  isPathInContentDirectory,
+  getClientIp
 } = require('./security');
 
 // Initialize Express app
 const app = express();
 
+// Take the visitor's IP address from a trusted reverse proxy's headers
+app.set('trust proxy', config.trustProxy);
+
 // Set up middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -30,10 +53,11 @@ app.use(csrfMiddleware);
 
 // Add global template variables middleware
 app.use((req, res, next) => {
-  res.locals.siteName = settingsManager.getSiteName();
-  res.locals.footerText = settingsManager.getFooterText();
-  res.locals.pages = contentIndexer.getPages();
+  Object.assign(res.locals, viewBuilder.getSiteLocals());
   res.locals.user = req.user || null;
+  // Role of the signed-in user, so admin templates only offer what they may do
+  res.locals.userRole = req.user ? settingsManager.getUserRole(req.user.email) : null;
+  res.locals.hasRole = role => Boolean(res.locals.userRole) && settingsManager.roleAllows(res.locals.userRole, role);
   next();
 });
 
@@ -48,25 +72,181 @@ if (process.env.NODE_ENV === 'production') {
 
 // Initialize core components
 const contentIndexer = new ContentIndexer(config.contentPath);
-const markdownHandler = new MarkdownHandler();
+const imageProcessor = new ImageProcessor(
+  path.join(config.contentPath, config.mediaDir),
+  path.join(config.contentPath, config.imageCacheDir),
+  { widths: config.imageWidths, sizes: config.imageSizes }
+);
+const markdownHandler = new MarkdownHandler(imageProcessor);
+const renderCache = new RenderCache(config.renderCacheMaxBytes);
+const menuManager = new MenuManager(path.join(__dirname, 'config', 'menus.json'), contentIndexer, settingsManager);
+const viewBuilder = new ViewBuilder(contentIndexer, markdownHandler, settingsManager, menuManager, renderCache);
 const themeManager = new ThemeManager(config.themesPath, app);
+const feedGenerator = new FeedGenerator(contentIndexer, markdownHandler, settingsManager);
+const sitemapGenerator = new SitemapGenerator(contentIndexer, settingsManager);
+const revisionManager = new RevisionManager(config.contentPath, config.revisionsDir, config.maxRevisions);
+const mediaManager = new MediaManager(config.contentPath, config.mediaDir, config.maxUploadSize);
+const redirectManager = new RedirectManager(path.join(__dirname, 'config', 'redirects.json'), contentIndexer, viewBuilder);
+const localAccounts = new LocalAccounts(path.join(__dirname, 'config', 'users.json'));
+const auditLog = new AuditLog(config.auditLogPath, config.auditLogMaxBytes, config.auditLogMaxFiles);
+
+// Uploads are sent as the raw file body; any other content type leaves req.body unparsed
+const mediaBodyParser = express.raw({ type: Object.keys(ALLOWED_TYPES), limit: config.maxUploadSize });
+
+// Time of the last change that can affect any public page (navigation, settings, theme)
+let siteLastModified = new Date();
+
+/**
+ * Record a site-wide change so conditional requests for every public page miss
+ */
+function markSiteChanged() {
+  siteLastModified = new Date();
+}
+
+// Regenerate feeds, sitemap and rendered HTML whenever the watcher reindexes or removes a file
+contentIndexer.on('updated', ({ slug, previousSlug }) => {
+  feedGenerator.invalidate();
+  sitemapGenerator.invalidate();
+  renderCache.invalidate(slug);
+  if (previousSlug && previousSlug !== slug) {
+    renderCache.invalidate(previousSlug);
+  }
+  markSiteChanged();
+});
+
+// Re-render content once new image variants can be referenced in srcset
+imageProcessor.on('processed', () => {
+  renderCache.clear();
+  feedGenerator.invalidate();
+  markSiteChanged();
+});
+
+/**
+ * Set ETag/Last-Modified validators on a public response and answer 304 when the
+ * client's copy is still current, so unchanged pages are not rendered again
+ * @param {Date|null} contentModified - Last change of the content shown, if any
+ * @returns {boolean} True if a 304 response was sent
+ */
+function sendNotModified(req, res, contentModified = null) {
+  const lastModified = contentModified && contentModified > siteLastModified ? contentModified : siteLastModified;
+  
+  // Signed-in users see different chrome, so they get their own ETag
+  const etag = crypto.createHash('sha1')
+    .update([req.originalUrl, siteLastModified.getTime(), lastModified.getTime(), req.user ? req.user.email : ''].join('\n'))
+    .digest('base64url');
+  
+  res.set({
+    'Cache-Control': 'no-cache',
+    'Last-Modified': lastModified.toUTCString(),
+    'ETag': `W/"${etag}"`
+  });
+  
+  if (req.fresh) {
+    res.status(304).end();
+    return true;
+  }
+  
+  return false;
+}
+
+/**
+ * Redirect a request for moved content to its current URL
+ * Called before answering with a 404, so redirects never shadow existing content
+ * @returns {boolean} True if a redirect was sent
+ */
+function sendRedirect(req, res) {
+  const redirect = redirectManager.resolve(req.path);
+  
+  if (!redirect) {
+    return false;
+  }
+  
+  console.log(`[REDIRECT] ${new Date().toISOString()} - ${req.path} -> ${redirect.to} (${redirect.status})`);
+  res.redirect(redirect.status, redirect.to);
+  return true;
+}
+
+/**
+ * Run a search query and shape the results for templates and JSON output
+ * `highlightedTitle` and `snippet` are HTML with matches wrapped in <mark>
+ */
+function getSearchResults(query) {
+  return contentIndexer.search(query).map(result => ({
+    slug: result.item.slug,
+    type: result.item.type,
+    url: viewBuilder.getContentUrl(result.item),
+    title: result.item.title,
+    date: result.item.date,
+    highlightedTitle: result.title,
+    snippet: result.snippet
+  }));
+}
+
+/**
+ * Get the absolute base URL of the site (no trailing slash)
+ * Prefers the configured SITE_URL, otherwise derives it from the request
+ */
+function getBaseUrl(req) {
+  const baseUrl = config.siteUrl || `${req.protocol}://${req.get('host')}`;
+  return baseUrl.replace(/\/+$/, '');
+}
 
 // ============================================================================
 // PUBLIC ROUTES
 // ============================================================================
 
 /**
- * Home page - Display blog list
+ * Home page - Display first page of the blog list
  */
 async function handler_home(req, res) {
+  // Support ?page=N by redirecting to the canonical page URL
+  if (req.query.page !== undefined) {
+    const pageNumber = parseInt(req.query.page, 10);
+    return res.redirect(301, viewBuilder.getBlogListPageUrl(pageNumber > 1 ? pageNumber : 1));
+  }
+  
+  await renderBlogListPage(req, res, 1);
+}
+
+/**
+ * Later pages of the blog list (/blog/page/:num)
+ */
+async function handler_blogListPage(req, res) {
+  const pageNumber = /^\d+$/.test(req.params.num) ? parseInt(req.params.num, 10) : NaN;
+  
+  // Page 1 lives at the home URL
+  if (pageNumber === 1) {
+    return res.redirect(301, '/');
+  }
+  
+  await renderBlogListPage(req, res, pageNumber);
+}
+
+/**
+ * Render one page of the blog list
+ */
+async function renderBlogListPage(req, res, pageNumber) {
   try {
-    const blogEntries = contentIndexer.getBlogEntries();
-    const pages = contentIndexer.getPages();
+    const view = viewBuilder.getBlogListView(pageNumber);
+    
+    if (!view) {
+      if (sendRedirect(req, res)) {
+        return;
+      }
+      
+      console.log(`[INFO] ${new Date().toISOString()} - Blog list page not found: ${pageNumber}`);
+      return await themeManager.render('404', { 
+        slug: `blog/page/${req.params.num || pageNumber}`,
+        user: req.user || null
+      }, res.status(404));
+    }
+    
+    if (sendNotModified(req, res)) {
+      return;
+    }
     
     await themeManager.render('blogList', {
-      title: 'Blog',
-      entries: blogEntries,
-      pages: pages,
+      ...view,
       siteName: settingsManager.getSiteName(),
       user: req.user || null
     }, res);
@@ -94,25 +274,27 @@ async function handler_page(req, res) {
   try {
     const slug = req.params.slug;
     const contentItem = contentIndexer.getBySlug(slug);
-    const pages = contentIndexer.getPages();
     
-    if (!contentItem || contentItem.type !== 'page') {
+    if (!contentItem || contentItem.type !== 'page' || !contentIndexer.isPublic(contentItem)) {
+      if (sendRedirect(req, res)) {
+        return;
+      }
+      
       console.log(`[INFO] ${new Date().toISOString()} - Page not found: ${slug}`);
       return await themeManager.render('404', { 
         slug,
-        pages: pages,
         user: req.user || null
       }, res.status(404));
     }
     
-    const parsed = await markdownHandler.parseFile(contentItem.filePath);
-    const html = markdownHandler.renderToHtml(parsed.content);
+    if (sendNotModified(req, res, contentItem.mtime)) {
+      return;
+    }
     
-    await themeManager.render('page', {
-      title: parsed.metadata.title || contentItem.title,
-      content: html,
-      metadata: parsed.metadata,
-      pages: pages,
+    const view = await viewBuilder.getContentView(contentItem);
+    
+    await themeManager.render(view.template, {
+      ...view.data,
       user: req.user || null
     }, res);
   } catch (error) {
@@ -134,40 +316,59 @@ async function handler_page(req, res) {
 
 /**
  * Blog post handler
+ * Blog post URLs follow the configured permalink pattern, so this is registered after
+ * all other routes and passes on any path that isn't a permalink. Entries requested
+ * with outdated date segments, or at the default /blog/:slug URL after the pattern
+ * was changed, are redirected to their current permalink.
  */
-async function handler_blogPost(req, res) {
+async function handler_blogPost(req, res, next) {
+  const pattern = settingsManager.getPermalinkPattern();
+  const params = matchPermalink(pattern, req.path) ||
+    (pattern !== DEFAULT_PERMALINK_PATTERN ? matchPermalink(DEFAULT_PERMALINK_PATTERN, req.path) : null);
+  
+  if (!params) {
+    return next();
+  }
+  
+  const slug = params.slug;
+  
   try {
-    const slug = req.params.slug;
     const contentItem = contentIndexer.getBySlug(slug);
-    const pages = contentIndexer.getPages();
     
-    if (!contentItem || contentItem.type !== 'blog') {
+    if (!contentItem || contentItem.type !== 'blog' || !contentIndexer.isPublic(contentItem)) {
+      if (sendRedirect(req, res)) {
+        return;
+      }
+      
       console.log(`[INFO] ${new Date().toISOString()} - Blog post not found: ${slug}`);
       return await themeManager.render('404', { 
         slug,
-        pages: pages,
         user: req.user || null
       }, res.status(404));
     }
     
-    const parsed = await markdownHandler.parseFile(contentItem.filePath);
-    const html = markdownHandler.renderToHtml(parsed.content);
+    const permalink = viewBuilder.getContentUrl(contentItem);
+    if (req.path.replace(/\/$/, '') !== permalink) {
+      return res.redirect(301, permalink);
+    }
     
-    await themeManager.render('blogPost', {
-      title: parsed.metadata.title || contentItem.title,
-      date: contentItem.date,
-      content: html,
-      metadata: parsed.metadata,
-      pages: pages,
+    if (sendNotModified(req, res, contentItem.mtime)) {
+      return;
+    }
+    
+    const view = await viewBuilder.getContentView(contentItem);
+    
+    await themeManager.render(view.template, {
+      ...view.data,
       user: req.user || null
     }, res);
   } catch (error) {
-    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render blog post ${req.params.slug}:`, error.message);
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render blog post ${slug}:`, error.message);
     
     // Try to render themed 404 as fallback
     try {
       await themeManager.render('404', { 
-        slug: req.params.slug,
+        slug,
         user: req.user || null,
         error: 'Unable to load blog post'
       }, res.status(500));
@@ -178,6 +379,223 @@ async function handler_blogPost(req, res) {
   }
 }
 
+/**
+ * Fallback for requests no route handled: follow a redirect or show the themed 404
+ */
+async function handler_notFound(req, res) {
+  if ((req.method === 'GET' || req.method === 'HEAD') && sendRedirect(req, res)) {
+    return;
+  }
+  
+  try {
+    await themeManager.render('404', { 
+      slug: req.path.replace(/^\/+/, ''),
+      user: req.user || null
+    }, res.status(404));
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render 404 page:`, error.message);
+    res.status(404).send('Not Found');
+  }
+}
+
+/**
+ * Tag archive - Blog entries with a given tag
+ */
+async function handler_tag(req, res) {
+  await renderArchive(req, res, 'tag', contentIndexer.slugifyTerm(req.params.tag));
+}
+
+/**
+ * Category archive - Blog entries in a given category
+ */
+async function handler_category(req, res) {
+  await renderArchive(req, res, 'category', contentIndexer.slugifyTerm(req.params.name));
+}
+
+/**
+ * Render a tag or category archive through the blog list template
+ */
+async function renderArchive(req, res, kind, slug) {
+  try {
+    const view = viewBuilder.getArchiveView(kind, slug);
+    
+    if (!view) {
+      if (sendRedirect(req, res)) {
+        return;
+      }
+      
+      console.log(`[INFO] ${new Date().toISOString()} - ${kind === 'tag' ? 'Tag' : 'Category'} not found: ${slug}`);
+      return await themeManager.render('404', { 
+        slug,
+        user: req.user || null
+      }, res.status(404));
+    }
+    
+    if (sendNotModified(req, res)) {
+      return;
+    }
+    
+    await themeManager.render('blogList', {
+      ...view,
+      user: req.user || null
+    }, res);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render ${kind} archive ${slug}:`, error.message);
+    
+    // Try to render themed 404 as fallback
+    try {
+      await themeManager.render('404', { 
+        slug,
+        user: req.user || null,
+        error: `Unable to load ${kind} archive`
+      }, res.status(500));
+    } catch (fallbackError) {
+      console.error(`[ERROR] ${new Date().toISOString()} - Fallback render failed:`, fallbackError.message);
+      res.status(500).send('Internal Server Error');
+    }
+  }
+}
+
+/**
+ * Search results page
+ * Rendered through the theme's optional search template, falling back to the blog list
+ */
+async function handler_search(req, res) {
+  try {
+    if (sendNotModified(req, res)) {
+      return;
+    }
+    
+    const query = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 200) : '';
+    const results = query ? getSearchResults(query) : [];
+    
+    if (await themeManager.hasTemplate('search')) {
+      return await themeManager.render('search', {
+        title: query ? `Search: ${query}` : 'Search',
+        query,
+        results,
+        user: req.user || null
+      }, res);
+    }
+    
+    // Themes without a search template only get blog results, which blog-list can link to
+    await themeManager.render('blogList', {
+      title: query ? `Search: ${query}` : 'Search',
+      entries: results
+        .filter(result => result.type === 'blog')
+        .map(result => contentIndexer.getBySlug(result.slug)),
+      user: req.user || null
+    }, res);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render search results:`, error.message);
+    
+    // Try to render themed 404 as fallback
+    try {
+      await themeManager.render('404', { 
+        slug: 'search',
+        user: req.user || null,
+        error: 'Unable to search'
+      }, res.status(500));
+    } catch (fallbackError) {
+      console.error(`[ERROR] ${new Date().toISOString()} - Fallback render failed:`, fallbackError.message);
+      res.status(500).send('Internal Server Error');
+    }
+  }
+}
+
+/**
+ * Search JSON endpoint
+ */
+function handler_searchJson(req, res) {
+  try {
+    if (sendNotModified(req, res)) {
+      return;
+    }
+    
+    const query = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 200) : '';
+    
+    res.json({
+      query,
+      results: query ? getSearchResults(query) : []
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Search failed:`, error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Search failed' 
+    });
+  }
+}
+
+/**
+ * RSS 2.0 feed handler
+ */
+async function handler_rssFeed(req, res) {
+  try {
+    if (sendNotModified(req, res)) {
+      return;
+    }
+    
+    // Only feeds for the configured SITE_URL are cached, not ones built from the Host header
+    const xml = await feedGenerator.getRss(getBaseUrl(req), Boolean(config.siteUrl));
+    res.type('application/rss+xml').send(xml);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to generate RSS feed:`, error.message);
+    res.status(500).send('Internal Server Error');
+  }
+}
+
+/**
+ * Atom feed handler
+ */
+async function handler_atomFeed(req, res) {
+  try {
+    if (sendNotModified(req, res)) {
+      return;
+    }
+    
+    const xml = await feedGenerator.getAtom(getBaseUrl(req), Boolean(config.siteUrl));
+    res.type('application/atom+xml').send(xml);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to generate Atom feed:`, error.message);
+    res.status(500).send('Internal Server Error');
+  }
+}
+
+/**
+ * XML sitemap handler
+ */
+function handler_sitemap(req, res) {
+  try {
+    if (sendNotModified(req, res)) {
+      return;
+    }
+    
+    // Only the sitemap for the configured SITE_URL is cached, not ones built from the Host header
+    const xml = sitemapGenerator.getSitemap(getBaseUrl(req), Boolean(config.siteUrl));
+    res.type('application/xml').send(xml);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to generate sitemap:`, error.message);
+    res.status(500).send('Internal Server Error');
+  }
+}
+
+/**
+ * robots.txt handler - serves the configured rules plus the sitemap location
+ */
+function handler_robots(req, res) {
+  try {
+    if (sendNotModified(req, res)) {
+      return;
+    }
+    
+    res.type('text/plain').send(viewBuilder.getRobotsTxt(getBaseUrl(req)));
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to serve robots.txt:`, error.message);
+    res.status(500).send('Internal Server Error');
+  }
+}
+
 /**
  * Serve theme static assets
  */
@@ -238,6 +656,63 @@ function handler_adminStatic(req, res) {
   }
 }
 
+/**
+ * Serve uploaded media files
+ */
+function handler_media(req, res) {
+  try {
+    const mediaPath = req.params[0]; // Captures everything after /media/
+    
+    // Validate media path to prevent directory traversal
+    const validation = mediaManager.resolve(mediaPath);
+    if (!validation.valid) {
+      console.warn(`[SECURITY] ${new Date().toISOString()} - ${validation.error}: ${mediaPath}`);
+      return res.status(403).send('Forbidden');
+    }
+    
+    // Uploads are only ever served as the image type their extension declares
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    
+    res.sendFile(validation.sanitizedPath, { maxAge: '7d' }, (err) => {
+      if (err) {
+        console.error(`[ERROR] ${new Date().toISOString()} - Failed to serve media ${mediaPath}:`, err.message);
+        res.status(404).send('Media not found');
+      }
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Error in media handler:`, error.message);
+    res.status(500).send('Internal Server Error');
+  }
+}
+
+/**
+ * Serve generated image variants
+ */
+function handler_mediaVariant(req, res) {
+  try {
+    const variantPath = req.params[0]; // Captures everything after /media/resized/
+    
+    // Validate variant path to prevent directory traversal
+    const validation = imageProcessor.resolveVariant(variantPath);
+    if (!validation.valid) {
+      console.warn(`[SECURITY] ${new Date().toISOString()} - ${validation.error}: ${variantPath}`);
+      return res.status(403).send('Forbidden');
+    }
+    
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    
+    res.sendFile(validation.sanitizedPath, { maxAge: '7d' }, (err) => {
+      if (err) {
+        console.error(`[ERROR] ${new Date().toISOString()} - Failed to serve image variant ${variantPath}:`, err.message);
+        res.status(404).send('Media not found');
+      }
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Error in image variant handler:`, error.message);
+    res.status(500).send('Internal Server Error');
+  }
+}
+
 // ============================================================================
 // AUTHENTICATION ROUTES
 // ============================================================================
@@ -247,8 +722,17 @@ function handler_adminStatic(req, res) {
  */
 function handler_login(req, res) {
   try {
+    // A fresh install is set up by claiming it first (keeping any error to show)
+    if (!settingsManager.hasOwner()) {
+      const query = req.originalUrl.split('?')[1];
+      return res.redirect(query ? `/setup?${query}` : '/setup');
+    }
+    
     res.render(path.join(__dirname, 'templates', 'login.ejs'), {
-      error: req.query.error || null
+      error: req.query.error || null,
+      retryMinutes: parseInt(req.query.retry, 10) || null,
+      providers: getProviders(),
+      setup: null
     });
   } catch (error) {
     console.error(`[ERROR] ${new Date().toISOString()} - Failed to render login page:`, error.message);
@@ -257,75 +741,433 @@ function handler_login(req, res) {
 }
 
 /**
- * Google OAuth callback handler
+ * Setup wizard - Shown until someone has claimed the site as its owner
+ */
+function handler_setup(req, res) {
+  try {
+    if (settingsManager.hasOwner()) {
+      return res.redirect('/login');
+    }
+    
+    const providers = getProviders();
+    
+    // The login page in setup mode
+    res.render(path.join(__dirname, 'templates', 'login.ejs'), {
+      error: req.query.error || null,
+      retryMinutes: parseInt(req.query.retry, 10) || null,
+      providers: providers,
+      setup: {
+        ownerEmailRequired: Boolean(config.ownerEmail),
+        // An account created here has an unverified email, so it can't be used to prove OWNER_EMAIL
+        canCreateAccount: !config.ownerEmail && providers.some(provider => provider.type === 'password')
+      }
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render setup page:`, error.message);
+    res.status(500).send('Internal Server Error');
+  }
+}
+
+/**
+ * Create the owner's local account from the setup wizard and sign them in
  */
-function handler_googleCallback(req, res) {
+async function handler_setupAccount(req, res) {
   try {
-    console.log(`[INFO] ${new Date().toISOString()} - OAuth callback successful for user: ${req.user?.email || 'unknown'}`);
+    if (settingsManager.hasOwner()) {
+      return res.redirect('/login');
+    }
+    
+    if (config.ownerEmail || !getProviders().some(provider => provider.type === 'password')) {
+      return res.redirect('/setup?error=unknown_provider');
+    }
+    
+    const { username, email, name, password } = req.body;
+    
+    const result = await localAccounts.add({ username, email, name, password });
+    if (!result.valid) {
+      return res.redirect(`/setup?error=${encodeURIComponent(result.error)}`);
+    }
+    
+    console.log(`[SETUP] ${new Date().toISOString()} - Owner account created: ${String(username).trim().toLowerCase()}`);
+    
+    const account = await localAccounts.verify(username, password);
+    
+    // The same check as any other sign-in; it claims the site if nobody has in the meantime
+    authorizeUser({ provider: 'local', ...account }, (err, user, info) => {
+      if (err || !user) {
+        if (err) {
+          console.error(`[ERROR] ${new Date().toISOString()} - Setup sign-in failed:`, err.message);
+        }
+        return res.redirect(`/login?error=${(info && info.code) || 'auth_failed'}`);
+      }
+      
+      req.login(user, loginErr => {
+        if (loginErr) {
+          console.error(`[ERROR] ${new Date().toISOString()} - Setup sign-in failed:`, loginErr.message);
+          return res.redirect('/login?error=auth_failed');
+        }
+        recordAudit(req, 'SETUP', SETTINGS_FILE, `Site claimed with new local account ${account.username}`);
+        res.redirect('/admin/settings?type=success&message=You are the owner of this site. Add the people who should have access below.');
+      });
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to create owner account:`, error.message);
+    res.redirect('/setup?error=Failed to create account');
+  }
+}
+
+/**
+ * Sign-in completion handler, reached once a provider has logged the user in
+ */
+function handler_authCallback(req, res) {
+  try {
+    console.log(`[INFO] ${new Date().toISOString()} - Sign-in successful via ${req.params.provider} for user: ${req.user?.email || 'unknown'}`);
+    recordAudit(req, 'LOGIN', req.params.provider, `Signed in via ${req.params.provider}`);
+    if (req.authInfo && req.authInfo.ownershipClaimed) {
+      recordAudit(req, 'SETUP', SETTINGS_FILE, 'Site claimed on first sign-in');
+    }
     // Redirect to admin dashboard after successful authentication
     res.redirect('/admin');
   } catch (error) {
-    console.error(`[ERROR] ${new Date().toISOString()} - OAuth callback error:`, error.message);
+    console.error(`[ERROR] ${new Date().toISOString()} - Sign-in callback error:`, error.message);
     res.redirect('/login?error=callback_failed');
   }
 }
 
 /**
- * Logout handler
+ * Response for sign-in requests over the per-IP limit
+ * Pages are shown with the message straight away; form posts go back to the login page
+ */
+function handler_tooManySignInRequests(req, res, retryAfter) {
+  const retryMinutes = Math.ceil(retryAfter / 60);
+  
+  if (req.method !== 'GET') {
+    return res.redirect(`/login?error=rate_limited&retry=${retryMinutes}`);
+  }
+  
+  try {
+    res.status(429).render(path.join(__dirname, 'templates', 'login.ejs'), {
+      error: 'rate_limited',
+      retryMinutes: retryMinutes,
+      providers: getProviders(),
+      setup: null
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render login page:`, error.message);
+    res.status(429).send('Too Many Requests');
+  }
+}
+
+/**
+ * Logout handler
+ */
+function handler_logout(req, res) {
+  try {
+    logout(req, res);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Logout error:`, error.message);
+    res.status(500).send('Internal Server Error');
+  }
+}
+
+// ============================================================================
+// ROUTE DEFINITIONS
+// ============================================================================
+
+// Public routes
+app.get('/', handler_home);
+app.get('/page/:slug(*)', handler_page);
+app.get('/blog/page/:num', handler_blogListPage);
+app.get('/tag/:tag', handler_tag);
+app.get('/category/:name', handler_category);
+app.get('/search', handler_search);
+app.get('/search.json', handler_searchJson);
+app.get('/feed.xml', handler_rssFeed);
+app.get('/atom.xml', handler_atomFeed);
+app.get('/sitemap.xml', handler_sitemap);
+app.get('/robots.txt', handler_robots);
+app.get('/themes/:theme/*', handler_static);
+app.get('/static/admin/*', handler_adminStatic);
+app.get('/media/resized/*', handler_mediaVariant);
+app.get('/media/*', handler_media);
+
+// Requests to the sign-in pages are limited per IP address; failed sign-ins lock out
+// IP addresses and usernames on top of this (see authenticate)
+app.use(['/login', '/setup', '/auth'], rateLimit('sign-in', [
+  { limiter: new RateLimiter(config.authRequestsPerIp, config.rateLimitWindowMs), key: getClientIp, label: 'IP' }
+], handler_tooManySignInRequests));
+
+// Auth routes
+app.get('/login', handler_login);
+app.get('/setup', handler_setup);
+app.post('/setup/account', verifyCsrfToken, handler_setupAccount);
+app.get('/auth/:provider', authenticate, handler_authCallback);
+app.get('/auth/:provider/callback', authenticate, handler_authCallback);
+app.post('/auth/:provider', verifyCsrfToken, authenticate, handler_authCallback);
+app.get('/logout', handler_logout);
+
+// ============================================================================
+// ADMIN ROUTES
+// ============================================================================
+
+/**
+ * Flatten a page tree depth-first, adding each page's nesting depth and parent
+ * @returns {Array} Page items with `depth` (0 for top-level pages) and `parentSlug` (null for top-level pages)
+ */
+function flattenPageTree(nodes, depth = 0, parentSlug = null) {
+  return nodes.flatMap(node => [
+    { ...node.item, depth, parentSlug },
+    ...flattenPageTree(node.children, depth + 1, node.item.slug)
+  ]);
+}
+
+/**
+ * Make the page tree available to the create form's parent page selector
+ */
+function loadParentPages(req, res, next) {
+  res.locals.parentPages = flattenPageTree(contentIndexer.getPageTree({ includeDrafts: true }));
+  next();
+}
+
+/**
+ * Add an entry to the audit log for the signed-in user
+ * @param {Object} req - Request, for the user and IP address
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {string} target - What was changed
+ * @param {string} summary - Human-readable description
+ * @param {Object} [hashes] - { before, after } hashes of the target
+ */
+function recordAudit(req, action, target, summary, hashes = {}) {
+  return auditLog.record({
+    action,
+    user: req.user ? req.user.email : null,
+    ip: getClientIp(req),
+    // Files are shown relative to the site directory, like content paths
+    target: path.isAbsolute(target) ? path.relative(__dirname, target) : target,
+    summary,
+    before: hashes.before,
+    after: hashes.after
+  });
+}
+
+// Admin changes are limited per IP address and per signed-in user
+const adminWriteLimit = rateLimit('admin', [
+  { limiter: new RateLimiter(config.adminWritesPerIp, config.rateLimitWindowMs), key: getClientIp, label: 'IP' },
+  { limiter: new RateLimiter(config.adminWritesPerUser, config.rateLimitWindowMs), key: req => (req.user ? req.user.email : null), label: 'user' }
+], handler_tooManyAdminRequests);
+
+/**
+ * Respond to an admin request refused by the rate limit
+ * Requests from the admin scripts get JSON; form posts get a page explaining the wait
+ */
+function handler_tooManyAdminRequests(req, res, retryAfter) {
+  const retryMinutes = Math.ceil(retryAfter / 60);
+  
+  if (req.xhr || (req.get('Accept') || '').includes('application/json')) {
+    return res.status(429).json({
+      success: false,
+      error: `Too many requests. Try again in ${retryMinutes} minutes.`
+    });
+  }
+  
+  try {
+    // Only go back to admin pages, so the link can't lead off the site
+    const referer = (req.get('Referer') || '').replace(/^https?:\/\/[^/]+/, '');
+    res.status(429).render(path.join(__dirname, 'templates', 'admin', 'rate-limited.ejs'), {
+      retryMinutes: retryMinutes,
+      backUrl: /^\/admin(\/|\?|$)/.test(referer) ? referer : '/admin'
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render rate limit page:`, error.message);
+    res.status(429).send('Too Many Requests');
+  }
+}
+
+/**
+ * Middleware applying the admin rate limit to requests that change something
+ * The live preview posts on every pause in typing but changes nothing, so it doesn't
+ * count; otherwise a long editing session could leave an author unable to save
+ */
+function limitAdminWrites(req, res, next) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || req.path === '/render') {
+    return next();
+  }
+  adminWriteLimit(req, res, next);
+}
+
+/**
+ * Check whether the signed-in user may change all content, not just their own
+ */
+function hasEditorRole(req) {
+  return settingsManager.roleAllows(settingsManager.getUserRole(req.user.email), 'editor');
+}
+
+/**
+ * Admin dashboard - List all content items
+ */
+async function handler_adminDashboard(req, res) {
+  try {
+    const blogEntries = contentIndexer.getBlogEntries({ includeScheduled: true, includeDrafts: true })
+      .filter(entry => canEditContent(req.user, entry))
+      .map(entry => ({ ...entry, scheduled: contentIndexer.isScheduled(entry) }));
+    // Pages are listed as a tree, children indented below their parent
+    const pages = flattenPageTree(contentIndexer.getPageTree({ includeDrafts: true }))
+      .filter(page => canEditContent(req.user, page));
+    
+    // Combine and sort all content items
+    const allContent = [...blogEntries, ...pages];
+    
+    // Files hidden because another file already uses their slug
+    const slugConflicts = contentIndexer.getSlugConflicts().map(conflict => ({
+      ...conflict,
+      file: path.relative(config.contentPath, conflict.filePath),
+      indexedFile: conflict.indexed ? path.relative(config.contentPath, conflict.indexed.filePath) : null
+    }));
+    
+    res.render(path.join(__dirname, 'templates', 'admin', 'dashboard.ejs'), {
+      user: req.user,
+      blogEntries: blogEntries,
+      pages: pages,
+      allContent: allContent,
+      slugConflicts: slugConflicts
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render admin dashboard:`, error.message);
+    res.status(500).send('Internal Server Error - Unable to load dashboard');
+  }
+}
+
+/**
+ * Parse a comma-separated form field into a list of unique, trimmed values
+ */
+function parseListInput(input) {
+  if (!input || typeof input !== 'string') {
+    return [];
+  }
+  
+  const values = input
+    .split(',')
+    .map(value => value.trim())
+    .filter(value => value.length > 0);
+  
+  return [...new Set(values)];
+}
+
+/**
+ * Parse a datetime-local form value (interpreted in the server's time zone)
+ * @returns {Date|null|false} The date, null if empty, or false if invalid
+ */
+function parsePublishDate(input) {
+  if (!input || typeof input !== 'string' || input.trim() === '') {
+    return null;
+  }
+  
+  if (!/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2})?)?$/.test(input.trim())) {
+    return false;
+  }
+  
+  // Date-only strings parse as UTC, so always include a time to get local time
+  const value = input.includes('T') ? input.trim() : `${input.trim()}T00:00`;
+  const date = new Date(value);
+  
+  return isNaN(date) ? false : date;
+}
+
+/**
+ * Format a date as a datetime-local input value in the server's time zone
+ */
+function toDateTimeLocal(date) {
+  if (!(date instanceof Date) || isNaN(date)) {
+    return '';
+  }
+  
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// Available to admin templates for the publish date inputs
+app.locals.toDateTimeLocal = toDateTimeLocal;
+
+/**
+ * Preview any content item (including drafts and scheduled entries) through the active theme
  */
-function handler_logout(req, res) {
+async function handler_adminPreview(req, res) {
   try {
-    logout(req, res);
+    const slug = req.params.slug;
+    const contentItem = contentIndexer.getBySlug(slug);
+    
+    if (!contentItem) {
+      console.log(`[INFO] ${new Date().toISOString()} - Preview requested for non-existent content: ${slug}`);
+      return res.status(404).send('Content not found');
+    }
+    
+    // Validate that the file path is within the content directory
+    if (!isPathInContentDirectory(contentItem.filePath, config.contentPath)) {
+      console.warn(`[SECURITY] ${new Date().toISOString()} - Attempted to preview file outside content directory: ${contentItem.filePath}`);
+      return res.status(403).send('Forbidden');
+    }
+    
+    if (!canEditContent(req.user, contentItem)) {
+      return res.status(403).send('Forbidden - You can only preview your own content');
+    }
+    
+    const view = await viewBuilder.getContentView(contentItem);
+    
+    let status = 'published';
+    if (!contentItem.published) {
+      status = 'draft';
+    } else if (contentIndexer.isScheduled(contentItem)) {
+      status = 'scheduled';
+    }
+    
+    // Previews must never be cached or indexed
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    
+    await themeManager.render(view.template, {
+      ...view.data,
+      preview: {
+        status,
+        date: contentItem.date,
+        editUrl: `/admin/edit/${contentItem.slug}`
+      },
+      user: req.user
+    }, res);
   } catch (error) {
-    console.error(`[ERROR] ${new Date().toISOString()} - Logout error:`, error.message);
-    res.status(500).send('Internal Server Error');
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render preview for ${req.params.slug}:`, error.message);
+    res.status(500).send('Internal Server Error - Unable to render preview');
   }
 }
 
-// ============================================================================
-// ROUTE DEFINITIONS
-// ============================================================================
-
-// Public routes
-app.get('/', handler_home);
-app.get('/page/:slug', handler_page);
-app.get('/blog/:slug', handler_blogPost);
-app.get('/themes/:theme/*', handler_static);
-app.get('/static/admin/*', handler_adminStatic);
-
-// Auth routes
-app.get('/login', handler_login);
-app.get('/auth/google', passport.authenticate('google', { scope: ['profile', 'email'] }));
-app.get('/auth/google/callback', 
-  passport.authenticate('google', { failureRedirect: '/login?error=auth_failed' }),
-  handler_googleCallback
-);
-app.get('/logout', handler_logout);
-
-// ============================================================================
-// ADMIN ROUTES
-// ============================================================================
-
 /**
- * Admin dashboard - List all content items
+ * Render draft markdown for the editor's live preview
+ * Uses the same MarkdownHandler configuration as the public site
  */
-async function handler_adminDashboard(req, res) {
+async function handler_adminRender(req, res) {
   try {
-    const blogEntries = contentIndexer.getBlogEntries();
-    const pages = contentIndexer.getPages();
+    const { content } = req.body;
     
-    // Combine and sort all content items
-    const allContent = [...blogEntries, ...pages];
+    if (typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request: content is required'
+      });
+    }
     
-    res.render(path.join(__dirname, 'templates', 'admin', 'dashboard.ejs'), {
-      user: req.user,
-      blogEntries: blogEntries,
-      pages: pages,
-      allContent: allContent
+    const html = markdownHandler.renderToHtml(content);
+    const activeTheme = await themeManager.getActiveTheme();
+    
+    res.json({
+      success: true,
+      html,
+      stylesheet: `/themes/${encodeURIComponent(activeTheme)}/styles.css`
     });
   } catch (error) {
-    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render admin dashboard:`, error.message);
-    res.status(500).send('Internal Server Error - Unable to load dashboard');
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render preview markdown:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render markdown'
+    });
   }
 }
 
@@ -352,14 +1194,14 @@ async function handler_adminCreatePost(req, res) {
   const fs = require('fs').promises;
   
   try {
-    const { title, content, type } = req.body;
+    const { title, content, type, parent, tags, category, publishDate, status } = req.body;
     
     // Validate input
     if (!title || !content || !type) {
       return res.render(path.join(__dirname, 'templates', 'admin', 'create.ejs'), {
         user: req.user,
         error: 'All fields are required',
-        formData: { title, content, type }
+        formData: { title, content, type, parent, tags, category, publishDate, status }
       });
     }
     
@@ -367,10 +1209,23 @@ async function handler_adminCreatePost(req, res) {
       return res.render(path.join(__dirname, 'templates', 'admin', 'create.ejs'), {
         user: req.user,
         error: 'Invalid content type',
-        formData: { title, content, type }
+        formData: { title, content, type, parent, tags, category, publishDate, status }
       });
     }
     
+    // Pages can be created below a parent page, in the parent's subdirectory
+    let parentPage = null;
+    if (type === 'page' && parent) {
+      parentPage = contentIndexer.getBySlug(parent);
+      if (!parentPage || parentPage.type !== 'page') {
+        return res.render(path.join(__dirname, 'templates', 'admin', 'create.ejs'), {
+          user: req.user,
+          error: 'Parent page not found',
+          formData: { title, content, type, parent, tags, category, publishDate, status }
+        });
+      }
+    }
+    
     // Generate slug from title
     const slug = title
       .toLowerCase()
@@ -383,14 +1238,26 @@ async function handler_adminCreatePost(req, res) {
       return res.render(path.join(__dirname, 'templates', 'admin', 'create.ejs'), {
         user: req.user,
         error: 'Title must contain at least one alphanumeric character',
-        formData: { title, content, type }
+        formData: { title, content, type, parent, tags, category, publishDate, status }
+      });
+    }
+    
+    // An optional publish date schedules blog entries for the future
+    const scheduledDate = parsePublishDate(publishDate);
+    if (scheduledDate === false) {
+      return res.render(path.join(__dirname, 'templates', 'admin', 'create.ejs'), {
+        user: req.user,
+        error: 'Invalid publish date',
+        formData: { title, content, type, parent, tags, category, publishDate, status }
       });
     }
     
     // Generate filename based on type
     let filename;
     const now = new Date();
-    const dateStr = now.toISOString().split('T')[0]; // YYYY-MM-DD
+    const dateStr = scheduledDate
+      ? publishDate.split('T')[0]          // YYYY-MM-DD as entered
+      : now.toISOString().split('T')[0];   // YYYY-MM-DD
     
     if (type === 'blog') {
       // Blog entries: YYYY-MM-DD-slugified-title.md
@@ -407,10 +1274,18 @@ async function handler_adminCreatePost(req, res) {
     }
     
     // Determine target directory
-    const targetDir = type === 'blog' 
+    let targetDir = type === 'blog' 
       ? path.join(config.contentPath, config.blogDir)
       : path.join(config.contentPath, config.pagesDir);
     
+    if (parentPage) {
+      // Children of docs.md or docs/index.md both live in docs/
+      const parentName = path.basename(parentPage.filePath, '.md');
+      targetDir = parentName === 'index'
+        ? path.dirname(parentPage.filePath)
+        : path.join(path.dirname(parentPage.filePath), parentName);
+    }
+    
     const filePath = path.join(targetDir, filename);
     
     // Validate that the file path is within the content directory
@@ -419,7 +1294,7 @@ async function handler_adminCreatePost(req, res) {
       return res.render(path.join(__dirname, 'templates', 'admin', 'create.ejs'), {
         user: req.user,
         error: 'Invalid file path',
-        formData: { title, content, type }
+        formData: { title, content, type, parent, tags, category, publishDate, status }
       });
     }
     
@@ -429,18 +1304,31 @@ async function handler_adminCreatePost(req, res) {
       return res.render(path.join(__dirname, 'templates', 'admin', 'create.ejs'), {
         user: req.user,
         error: `A ${type} with this title already exists`,
-        formData: { title, content, type }
+        formData: { title, content, type, parent, tags, category, publishDate, status }
       });
     } catch (err) {
       // File doesn't exist, which is what we want
     }
     
+    // Blog posts and pages share one URL namespace for slugs, so check both directories
+    const indexSlug = contentIndexer.getSlugForFile(filePath);
+    if (contentIndexer.isSlugTaken(indexSlug)) {
+      const existing = contentIndexer.getBySlug(indexSlug);
+      return res.render(path.join(__dirname, 'templates', 'admin', 'create.ejs'), {
+        user: req.user,
+        error: existing
+          ? `The slug "${indexSlug}" is already used by the ${existing.type === 'blog' ? 'blog entry' : 'page'} "${existing.title}". Choose a different title.`
+          : `The slug "${indexSlug}" is already used by another file. Choose a different title.`,
+        formData: { title, content, type, parent, tags, category, publishDate, status }
+      });
+    }
+    
     // Create markdown content with front matter
     const frontMatter = {
       title: title,
-      date: dateStr,
+      date: scheduledDate || new Date(dateStr), // Today's date is written without a time
       type: type,
-      published: true
+      author: req.user.email // Authors may only edit content they created
     };
     
     // Add order field for blog entries (default to current timestamp for sorting)
@@ -448,15 +1336,19 @@ async function handler_adminCreatePost(req, res) {
       frontMatter.order = Date.now();
     }
     
-    const markdownContent = `---
-title: "${title}"
-date: ${dateStr}
-type: ${type}
-${type === 'blog' ? `order: ${frontMatter.order}\n` : ''}published: true
----
-
-${content}
-`;
+    const tagList = parseListInput(tags);
+    const categoryList = parseListInput(category);
+    
+    if (tagList.length > 0) {
+      frontMatter.tags = tagList;
+    }
+    if (categoryList.length > 0) {
+      frontMatter.category = categoryList.length === 1 ? categoryList[0] : categoryList;
+    }
+    
+    frontMatter.published = status !== 'draft';
+    
+    const markdownContent = buildMarkdownFile(frontMatter, `\n${content}\n`);
     
     // Validate markdown content before saving
     const validation = markdownHandler.validate(markdownContent);
@@ -464,15 +1356,20 @@ ${content}
       return res.render(path.join(__dirname, 'templates', 'admin', 'create.ejs'), {
         user: req.user,
         error: `Validation failed: ${validation.errors.join(', ')}`,
-        formData: { title, content, type }
+        formData: { title, content, type, parent, tags, category, publishDate, status }
       });
     }
     
     // Write file to disk
+    await fs.mkdir(targetDir, { recursive: true });
     await fs.writeFile(filePath, markdownContent, 'utf8');
     
+    // A recreated file is no longer listed as deleted in the revision history
+    await revisionManager.markRestored(filePath);
+    
     // Log creation with timestamp and user
     console.log(`[CREATE] ${new Date().toISOString()} - File: ${filePath} - User: ${req.user.email}`);
+    await recordAudit(req, 'CREATE', filePath, `Created ${type} "${title}"`, { after: hashValue(markdownContent) });
     
     // Redirect to admin dashboard
     // The file watcher will automatically update the index
@@ -517,6 +1414,10 @@ async function handler_adminEdit(req, res) {
       return res.status(403).send('Forbidden');
     }
     
+    if (!canEditContent(req.user, contentItem)) {
+      return res.status(403).send('Forbidden - You can only edit your own content');
+    }
+    
     // Read the raw markdown file to get the content without front matter
     const parsed = await markdownHandler.parseFile(contentItem.filePath);
     
@@ -540,7 +1441,7 @@ async function handler_adminEditPost(req, res) {
   
   try {
     const slug = req.params.slug;
-    const { title, content, type } = req.body;
+    const { title, content, type, tags, category, publishDate, status, slug: customSlug, author } = req.body;
     
     // Get content item from index
     const contentItem = contentIndexer.getBySlug(slug);
@@ -555,6 +1456,10 @@ async function handler_adminEditPost(req, res) {
       return res.status(403).send('Forbidden');
     }
     
+    if (!canEditContent(req.user, contentItem)) {
+      return res.status(403).send('Forbidden - You can only edit your own content');
+    }
+    
     // Validate input
     if (!title || !content || !type) {
       const parsed = await markdownHandler.parseFile(contentItem.filePath);
@@ -587,26 +1492,70 @@ async function handler_adminEditPost(req, res) {
       type: type
     };
     
-    // Create updated markdown content with front matter
-    const frontMatterLines = ['---'];
-    
-    // Add all metadata fields
-    for (const [key, value] of Object.entries(updatedMetadata)) {
-      if (typeof value === 'string') {
-        // Escape quotes in string values
-        const escapedValue = value.replace(/"/g, '\\"');
-        frontMatterLines.push(`${key}: "${escapedValue}"`);
-      } else if (value instanceof Date) {
-        frontMatterLines.push(`${key}: ${value.toISOString().split('T')[0]}`);
+    // Only editors and admins can hand content over to another author
+    if (typeof author === 'string' && hasEditorRole(req)) {
+      if (author.trim()) {
+        updatedMetadata.author = author.trim();
       } else {
-        frontMatterLines.push(`${key}: ${value}`);
+        delete updatedMetadata.author;
       }
     }
     
-    frontMatterLines.push('---');
-    frontMatterLines.push('');
+    // Draft/published toggle
+    if (status === 'draft' || status === 'published') {
+      updatedMetadata.published = status === 'published';
+    }
+    
+    // Reschedule if a publish date was submitted (empty keeps the existing date)
+    const scheduledDate = parsePublishDate(publishDate);
+    if (scheduledDate === false) {
+      return res.render(path.join(__dirname, 'templates', 'admin', 'edit.ejs'), {
+        user: req.user,
+        contentItem: contentItem,
+        rawContent: content,
+        error: 'Invalid publish date'
+      });
+    }
+    if (scheduledDate) {
+      updatedMetadata.date = scheduledDate;
+    }
+    
+    // Custom URL slug (empty falls back to the filename)
+    const slugOverride = contentIndexer.slugifyTerm(customSlug || '');
+    const newSlug = contentIndexer.getSlugForFile(contentItem.filePath, { slug: slugOverride });
+    if (newSlug !== contentItem.slug && contentIndexer.isSlugTaken(newSlug, contentItem.filePath)) {
+      return res.render(path.join(__dirname, 'templates', 'admin', 'edit.ejs'), {
+        user: req.user,
+        contentItem: contentItem,
+        rawContent: content,
+        error: `The slug "${newSlug}" is already used by another post or page`
+      });
+    }
+    if (slugOverride) {
+      updatedMetadata.slug = slugOverride;
+    } else {
+      delete updatedMetadata.slug;
+    }
     
-    const markdownContent = frontMatterLines.join('\n') + content;
+    // Replace tags and category with the submitted lists (empty removes them)
+    const tagList = parseListInput(tags);
+    const categoryList = parseListInput(category);
+    delete updatedMetadata.categories;
+    
+    if (tagList.length > 0) {
+      updatedMetadata.tags = tagList;
+    } else {
+      delete updatedMetadata.tags;
+    }
+    
+    if (categoryList.length > 0) {
+      updatedMetadata.category = categoryList.length === 1 ? categoryList[0] : categoryList;
+    } else {
+      delete updatedMetadata.category;
+    }
+    
+    // Unchanged front matter keep their original formatting and comments
+    const markdownContent = buildMarkdownFile(updatedMetadata, content, parsed.frontMatter);
     
     // Validate markdown content before saving
     const validation = markdownHandler.validate(markdownContent);
@@ -619,11 +1568,45 @@ async function handler_adminEditPost(req, res) {
       });
     }
     
+    const beforeHash = await auditLog.hashFile(contentItem.filePath);
+    
+    // Keep the previous version so the edit can be rolled back
+    await revisionManager.saveRevision(contentItem.filePath, 'update', req.user.email, {
+      slug: contentItem.slug,
+      title: contentItem.title
+    });
+    
     // Write updated content to the same file (preserving filename)
     await fs.writeFile(contentItem.filePath, markdownContent, 'utf8');
     
     // Log update with timestamp and user
     console.log(`[UPDATE] ${new Date().toISOString()} - File: ${contentItem.filePath} - User: ${req.user.email}`);
+    await recordAudit(req, 'UPDATE', contentItem.filePath, `Updated ${type} "${title}"`, {
+      before: beforeHash,
+      after: hashValue(markdownContent)
+    });
+    
+    // Keep old links working when the slug or type (and with it the URL) changed
+    if (newSlug !== contentItem.slug || type !== contentItem.type) {
+      const oldUrl = viewBuilder.getContentUrl(contentItem);
+      const newUrl = viewBuilder.getContentUrl({
+        ...contentItem,
+        slug: newSlug,
+        type: type,
+        date: updatedMetadata.date ? new Date(updatedMetadata.date) : contentItem.date
+      });
+      
+      if (oldUrl !== newUrl) {
+        await redirectManager.add(oldUrl, newUrl, { automatic: true });
+        console.log(`[REDIRECT] ${new Date().toISOString()} - Added ${oldUrl} -> ${newUrl} - User: ${req.user.email}`);
+        await recordAudit(req, 'REDIRECT', oldUrl, `Added ${oldUrl} -> ${newUrl} after the URL changed`);
+      }
+    }
+    
+    // Menus link to pages by slug
+    if (contentItem.type === 'page' && type === 'page' && newSlug !== contentItem.slug) {
+      await menuManager.renamePage(contentItem.slug, newSlug);
+    }
     
     // Redirect to admin dashboard
     // The file watcher will automatically update the index
@@ -678,29 +1661,286 @@ async function handler_adminDelete(req, res) {
       });
     }
     
-    // Delete file from filesystem
-    await fs.unlink(contentItem.filePath);
+    if (!canEditContent(req.user, contentItem)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only delete your own content'
+      });
+    }
+    
+    const beforeHash = await auditLog.hashFile(contentItem.filePath);
+    
+    // Keep the deleted version so it can be restored from the history page
+    await revisionManager.saveRevision(contentItem.filePath, 'delete', req.user.email, {
+      slug: contentItem.slug,
+      title: contentItem.title
+    });
+    
+    // Delete file from filesystem
+    await fs.unlink(contentItem.filePath);
+    
+    // Log deletion with timestamp and user email
+    console.log(`[DELETE] ${new Date().toISOString()} - File: ${contentItem.filePath} - User: ${req.user.email}`);
+    await recordAudit(req, 'DELETE', contentItem.filePath, `Deleted ${contentItem.type} "${contentItem.title}"`, { before: beforeHash });
+    
+    // The file watcher will automatically update the index
+    res.json({ 
+      success: true,
+      message: 'Content deleted successfully'
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to delete content ${req.params.slug}:`, error.message);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to delete content',
+      message: error.message 
+    });
+  }
+}
+
+/**
+ * Display all items with stored revisions, including deleted items
+ */
+async function handler_adminHistoryList(req, res) {
+  try {
+    // Authors only see the history of their own existing content
+    const items = (await revisionManager.listItems()).filter(item => {
+      const contentItem = contentIndexer.getBySlug(item.slug);
+      return contentItem ? canEditContent(req.user, contentItem) : hasEditorRole(req);
+    });
+    
+    res.render(path.join(__dirname, 'templates', 'admin', 'history-list.ejs'), {
+      user: req.user,
+      items: items,
+      success: req.query.success || null,
+      error: req.query.error || null
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render revision list:`, error.message);
+    res.status(500).send('Internal Server Error - Unable to load revision history');
+  }
+}
+
+/**
+ * Display revision history of an item with a diff between two versions
+ * Query: from/to - revision ids, or 'current' for the file as it is now
+ */
+async function handler_adminHistory(req, res) {
+  const fs = require('fs').promises;
+  
+  try {
+    const slug = req.params.slug;
+    const contentItem = contentIndexer.getBySlug(slug);
+    if (contentItem ? !canEditContent(req.user, contentItem) : !hasEditorRole(req)) {
+      return res.status(403).send('Forbidden - You can only view the history of your own content');
+    }
+    
+    const history = await revisionManager.getHistory(slug, contentItem ? contentItem.filePath : null);
+    
+    if (!history) {
+      return res.status(404).send('No revision history for this content');
+    }
+    
+    // Current file content, if the item still exists
+    let currentContent = null;
+    if (contentItem && isPathInContentDirectory(contentItem.filePath, config.contentPath)) {
+      currentContent = await fs.readFile(contentItem.filePath, 'utf8');
+    }
+    
+    const loadVersion = async (id) => {
+      if (id === 'current') {
+        return currentContent;
+      }
+      return revisionManager.getRevisionContent(history, id);
+    };
+    
+    const isKnownVersion = id => (id === 'current' && currentContent !== null) ||
+      history.revisions.some(revision => revision.id === id);
+    
+    // Default: compare the latest revision with the current file (or the one before it)
+    const defaultTo = currentContent !== null ? 'current' : history.revisions[0].id;
+    const defaultFrom = currentContent !== null
+      ? history.revisions[0].id
+      : (history.revisions[1] || history.revisions[0]).id;
+    
+    const from = isKnownVersion(req.query.from) ? req.query.from : defaultFrom;
+    const to = isKnownVersion(req.query.to) ? req.query.to : defaultTo;
+    
+    const diff = diffLines(await loadVersion(from), await loadVersion(to));
+    
+    res.render(path.join(__dirname, 'templates', 'admin', 'history.ejs'), {
+      user: req.user,
+      slug: slug,
+      history: history,
+      exists: currentContent !== null,
+      from: from,
+      to: to,
+      diff: diff,
+      success: req.query.success || null,
+      error: req.query.error || null
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render history for ${req.params.slug}:`, error.message);
+    res.status(500).send('Internal Server Error - Unable to load revision history');
+  }
+}
+
+/**
+ * Restore a stored revision, including restoring deleted items
+ */
+async function handler_adminHistoryRestore(req, res) {
+  const slug = req.params.slug;
+  const historyUrl = `/admin/history/${encodeURIComponent(slug)}`;
+  
+  try {
+    const { revision } = req.body;
+    const contentItem = contentIndexer.getBySlug(slug);
+    
+    // Deleted items have no current author to check, so only editors restore them
+    if (contentItem ? !canEditContent(req.user, contentItem) : !hasEditorRole(req)) {
+      return res.redirect(`${historyUrl}?error=You can only restore your own content`);
+    }
+    
+    const history = await revisionManager.getHistory(slug, contentItem ? contentItem.filePath : null);
+    
+    if (!history || !revision || !history.revisions.some(r => r.id === revision)) {
+      return res.redirect(`${historyUrl}?error=Revision not found`);
+    }
+    
+    const beforeHash = contentItem ? await auditLog.hashFile(contentItem.filePath) : null;
+    const restoredPath = await revisionManager.restore(history, revision, req.user.email);
+    
+    console.log(`[RESTORE] ${new Date().toISOString()} - File: ${restoredPath} - Revision: ${revision} - User: ${req.user.email}`);
+    await recordAudit(req, 'RESTORE', restoredPath, `Restored revision ${revision} of "${history.title || slug}"`, {
+      before: beforeHash,
+      after: await auditLog.hashFile(restoredPath)
+    });
+    
+    // The file watcher will automatically update the index
+    res.redirect(`${historyUrl}?success=Revision restored successfully`);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to restore revision for ${slug}:`, error.message);
+    res.redirect(`${historyUrl}?error=Failed to restore revision`);
+  }
+}
+
+/**
+ * Display the media library
+ */
+async function handler_adminMedia(req, res) {
+  try {
+    const media = await mediaManager.list();
+    
+    res.render(path.join(__dirname, 'templates', 'admin', 'media.ejs'), {
+      user: req.user,
+      media: media,
+      maxUploadSize: config.maxUploadSize,
+      allowedTypes: Object.keys(ALLOWED_TYPES)
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render media library:`, error.message);
+    res.status(500).send('Internal Server Error - Unable to load media library');
+  }
+}
+
+/**
+ * List uploaded media as JSON (used by the editor's image picker)
+ */
+async function handler_adminMediaList(req, res) {
+  try {
+    const media = await mediaManager.list();
+    res.json({ success: true, media: media });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to list media:`, error.message);
+    res.status(500).json({ success: false, error: 'Failed to list media' });
+  }
+}
+
+/**
+ * Parse an upload body, reporting oversized or malformed uploads as JSON
+ */
+function parseMediaUpload(req, res, next) {
+  mediaBodyParser(req, res, (err) => {
+    if (err) {
+      const tooLarge = err.type === 'entity.too.large';
+      console.warn(`[WARN] ${new Date().toISOString()} - Rejected media upload: ${err.message}`);
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge ? 'File is too large' : 'Invalid upload'
+      });
+    }
+    next();
+  });
+}
+
+/**
+ * Handle image upload
+ * Body: raw file content, Content-Type: image type, X-Filename: URI-encoded original name
+ */
+async function handler_adminMediaUpload(req, res) {
+  try {
+    if (!Buffer.isBuffer(req.body)) {
+      return res.status(415).json({
+        success: false,
+        error: 'Unsupported file type. Allowed: JPEG, PNG, GIF, WebP'
+      });
+    }
+    
+    const validation = mediaManager.validateUpload(req.body, req.headers['content-type']);
+    if (!validation.valid) {
+      return res.status(400).json({ success: false, error: validation.error });
+    }
+    
+    let originalName = '';
+    try {
+      originalName = decodeURIComponent(req.headers['x-filename'] || '');
+    } catch (error) {
+      originalName = '';
+    }
+    
+    const item = await mediaManager.save(originalName, req.body, validation.type);
     
-    // Log deletion with timestamp and user email
-    console.log(`[DELETE] ${new Date().toISOString()} - File: ${contentItem.filePath} - User: ${req.user.email}`);
+    console.log(`[UPLOAD] ${new Date().toISOString()} - File: ${item.name} (${item.size} bytes) - User: ${req.user.email}`);
+    await recordAudit(req, 'UPLOAD', item.name, `Uploaded ${item.name} (${item.size} bytes)`, { after: hashValue(req.body) });
     
-    // The file watcher will automatically update the index
-    res.json({ 
-      success: true,
-      message: 'Content deleted successfully'
-    });
+    // Generate resized variants in the background
+    imageProcessor.process(item.name);
+    
+    res.json({ success: true, media: item });
   } catch (error) {
-    console.error(`[ERROR] ${new Date().toISOString()} - Failed to delete content ${req.params.slug}:`, error.message);
-    res.status(500).json({ 
-      success: false, 
-      error: 'Failed to delete content',
-      message: error.message 
-    });
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to upload media:`, error.message);
+    res.status(500).json({ success: false, error: 'Failed to save upload' });
+  }
+}
+
+/**
+ * Delete an uploaded image
+ */
+async function handler_adminMediaDelete(req, res) {
+  try {
+    const resolved = mediaManager.resolve(req.params.name);
+    const beforeHash = resolved.valid ? await auditLog.hashFile(resolved.sanitizedPath) : null;
+    
+    const deleted = await mediaManager.delete(req.params.name);
+    await imageProcessor.removeVariants(req.params.name);
+    
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Media not found' });
+    }
+    
+    console.log(`[DELETE] ${new Date().toISOString()} - Media: ${req.params.name} - User: ${req.user.email}`);
+    await recordAudit(req, 'DELETE', req.params.name, `Deleted media ${req.params.name}`, { before: beforeHash });
+    
+    res.json({ success: true, message: 'Media deleted successfully' });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to delete media ${req.params.name}:`, error.message);
+    res.status(400).json({ success: false, error: 'Failed to delete media' });
   }
 }
 
 /**
  * Handle batch order updates for content items
+ * Only files whose order differs from the requested one are rewritten
  */
 async function handler_adminReorder(req, res) {
   const fs = require('fs').promises;
@@ -734,42 +1974,40 @@ async function handler_adminReorder(req, res) {
         return { slug, success: false, error: 'Forbidden' };
       }
       
+      if (!Number.isInteger(order) || order < 0) {
+        return { slug, success: false, error: 'Order must be a whole number of at least 0' };
+      }
+      
+      // Leave the file (and its modification time) alone if nothing changes
+      if (contentItem.order === order) {
+        return { slug, success: true, changed: false };
+      }
+      
       try {
-        // Read the current file
-        const fileContent = await fs.readFile(contentItem.filePath, 'utf8');
-        
         // Parse the markdown file
         const parsed = await markdownHandler.parseFile(contentItem.filePath);
         
-        // Update the order in metadata
-        parsed.metadata.order = order;
-        
-        // Reconstruct the markdown file with updated front matter
-        const frontMatterLines = ['---'];
-        
-        for (const [key, value] of Object.entries(parsed.metadata)) {
-          if (typeof value === 'string') {
-            // Escape quotes in string values
-            const escapedValue = value.replace(/"/g, '\\"');
-            frontMatterLines.push(`${key}: "${escapedValue}"`);
-          } else if (value instanceof Date) {
-            frontMatterLines.push(`${key}: ${value.toISOString().split('T')[0]}`);
-          } else {
-            frontMatterLines.push(`${key}: ${value}`);
-          }
-        }
+        // Only the order line changes; the rest of the front matter is kept as written
+        const updatedContent = buildMarkdownFile({ ...parsed.metadata, order }, parsed.content, parsed.frontMatter);
         
-        frontMatterLines.push('---');
-        frontMatterLines.push('');
+        const beforeHash = await auditLog.hashFile(contentItem.filePath);
         
-        const updatedContent = frontMatterLines.join('\n') + parsed.content;
+        // Keep the previous version so the move can be rolled back like any other edit
+        await revisionManager.saveRevision(contentItem.filePath, 'reorder', req.user.email, {
+          slug: contentItem.slug,
+          title: contentItem.title
+        });
         
         // Write the updated content back to the file
         await fs.writeFile(contentItem.filePath, updatedContent, 'utf8');
         
         console.log(`[REORDER] ${new Date().toISOString()} - Updated ${slug} to order ${order} - User: ${req.user.email}`);
+        await recordAudit(req, 'REORDER', contentItem.filePath, `Moved "${contentItem.title}" from order ${contentItem.order} to ${order}`, {
+          before: beforeHash,
+          after: hashValue(updatedContent)
+        });
         
-        return { slug, success: true };
+        return { slug, success: true, changed: true };
       } catch (error) {
         console.error(`[ERROR] ${new Date().toISOString()} - Failed to reorder ${slug}:`, error.message);
         return { slug, success: false, error: error.message };
@@ -794,7 +2032,7 @@ async function handler_adminReorder(req, res) {
     res.json({
       success: true,
       message: 'Order updated successfully',
-      updated: results.length
+      updated: results.filter(r => r.changed).length
     });
     
   } catch (error) {
@@ -839,10 +2077,18 @@ async function handler_adminThemesActivate(req, res) {
       return res.redirect('/admin/themes?error=Theme name is required');
     }
     
+    const previousTheme = await themeManager.getActiveTheme();
+    const beforeHash = await auditLog.hashFile(themeManager.activeThemeConfigPath);
+    
     // Set the active theme
     const success = await themeManager.setActiveTheme(themeName, req.user.email);
     
     if (success) {
+      await recordAudit(req, 'THEME', themeManager.activeThemeConfigPath, `Switched from ${previousTheme} to ${themeName}`, {
+        before: beforeHash,
+        after: await auditLog.hashFile(themeManager.activeThemeConfigPath)
+      });
+      markSiteChanged();
       res.redirect('/admin/themes?success=Theme activated successfully');
     } else {
       res.redirect('/admin/themes?error=Failed to activate theme');
@@ -863,8 +2109,16 @@ async function handler_adminSettings(req, res) {
       settings: {
         siteName: settingsManager.getSiteName(),
         footerText: settingsManager.getFooterText(),
+        postsPerPage: settingsManager.getPostsPerPage(),
+        permalinkPattern: settingsManager.getPermalinkPattern(),
+        robotsTxt: settingsManager.getRobotsTxt(),
         allowedUsers: settingsManager.getAllowedUsers()
       },
+      roles: ROLES,
+      userRoles: Object.fromEntries(settingsManager.getAllowedUsers().map(email => [email, settingsManager.getUserRole(email)])),
+      owner: settingsManager.getOwner(),
+      accounts: await localAccounts.list(),
+      localSignIn: getProviders().some(provider => provider.type === 'password'),
       message: req.query.message || null,
       messageType: req.query.type || 'success'
     });
@@ -879,7 +2133,8 @@ async function handler_adminSettings(req, res) {
  */
 async function handler_adminSettingsSite(req, res) {
   try {
-    const { siteName, footerText } = req.body;
+    const { siteName, footerText, postsPerPage } = req.body;
+    const permalinkPattern = (req.body.permalinkPattern || '').trim();
     
     if (!siteName || siteName.trim() === '') {
       return res.redirect('/admin/settings?type=error&message=Site name cannot be empty');
@@ -889,9 +2144,31 @@ async function handler_adminSettingsSite(req, res) {
       return res.redirect('/admin/settings?type=error&message=Footer text cannot be empty');
     }
     
+    const perPage = parseInt(postsPerPage, 10);
+    if (!/^\d+$/.test(String(postsPerPage).trim()) || perPage < 1 || perPage > 100) {
+      return res.redirect('/admin/settings?type=error&message=Posts per page must be a number between 1 and 100');
+    }
+    
+    const permalinkValidation = validatePattern(permalinkPattern);
+    if (!permalinkValidation.valid) {
+      return res.redirect(`/admin/settings?type=error&message=${encodeURIComponent(permalinkValidation.error)}`);
+    }
+    
+    const beforeHash = await auditLog.hashFile(SETTINGS_FILE);
     await settingsManager.setSiteName(siteName.trim());
     await settingsManager.setFooterText(footerText.trim());
+    await settingsManager.setPostsPerPage(perPage);
+    await settingsManager.setPermalinkPattern(permalinkPattern);
     console.log(`[SETTINGS] ${new Date().toISOString()} - Site settings updated - User: ${req.user.email}`);
+    await recordAudit(req, 'SETTINGS', SETTINGS_FILE, 'Updated site settings', {
+      before: beforeHash,
+      after: await auditLog.hashFile(SETTINGS_FILE)
+    });
+    
+    // Feeds and the sitemap contain permalinks
+    feedGenerator.invalidate();
+    sitemapGenerator.invalidate();
+    markSiteChanged();
     
     res.redirect('/admin/settings?type=success&message=Site settings saved successfully');
   } catch (error) {
@@ -900,18 +2177,50 @@ async function handler_adminSettingsSite(req, res) {
   }
 }
 
+/**
+ * Update robots.txt content
+ */
+async function handler_adminSettingsRobots(req, res) {
+  try {
+    const robotsTxt = (req.body.robotsTxt || '').replace(/\r\n/g, '\n');
+    
+    const beforeHash = await auditLog.hashFile(SETTINGS_FILE);
+    await settingsManager.setRobotsTxt(robotsTxt);
+    console.log(`[SETTINGS] ${new Date().toISOString()} - robots.txt updated - User: ${req.user.email}`);
+    await recordAudit(req, 'SETTINGS', SETTINGS_FILE, 'Updated robots.txt', {
+      before: beforeHash,
+      after: await auditLog.hashFile(SETTINGS_FILE)
+    });
+    markSiteChanged();
+    
+    res.redirect('/admin/settings?type=success&message=robots.txt saved successfully');
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to save robots.txt:`, error.message);
+    res.redirect('/admin/settings?type=error&message=Failed to save robots.txt');
+  }
+}
+
 /**
  * Update allowed users list
+ * Body: allowedUsers, one "email role" per line; the role may be left out for users
+ * already in the list, who keep their current one
  */
 async function handler_adminSettingsUsers(req, res) {
   try {
     const { allowedUsers } = req.body;
     
-    // Parse the textarea input (one email per line)
-    const userList = allowedUsers
+    // Parse the textarea input (one email per line, optionally followed by a role)
+    const lines = (allowedUsers || '')
       .split('\n')
-      .map(email => email.trim())
-      .filter(email => email.length > 0);
+      .map(line => line.trim().split(/\s+/))
+      .filter(parts => parts[0].length > 0);
+    const userList = [...new Set(lines.map(parts => normalizeEmail(parts[0])))];
+    const roles = {};
+    for (const [email, role] of lines) {
+      if (role) {
+        roles[normalizeEmail(email)] = role.toLowerCase();
+      }
+    }
     
     // Basic email validation
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -921,33 +2230,503 @@ async function handler_adminSettingsUsers(req, res) {
       return res.redirect(`/admin/settings?type=error&message=Invalid email addresses: ${invalidEmails.join(', ')}`);
     }
     
-    await settingsManager.setAllowedUsers(userList);
-    console.log(`[SETTINGS] ${new Date().toISOString()} - Allowed users updated - User: ${req.user.email}`);
-    
+    // An empty list allows nobody, which would lock everyone out of the admin
     if (userList.length === 0) {
-      res.redirect('/admin/settings?type=success&message=User restrictions removed - all authenticated users can access admin');
-    } else {
-      res.redirect('/admin/settings?type=success&message=Allowed users list updated successfully');
+      return res.redirect('/admin/settings?type=error&message=The allowed users list cannot be empty');
+    }
+    
+    const unknownRoles = Object.values(roles).filter(role => !ROLES.includes(role));
+    if (unknownRoles.length > 0) {
+      return res.redirect(`/admin/settings?type=error&message=Unknown roles: ${unknownRoles.join(', ')} (use ${ROLES.join(', ')})`);
+    }
+    
+    // New users get no access until they are given a role on purpose
+    const currentUsers = settingsManager.getAllowedUsers();
+    const missingRoles = userList.filter(email => !currentUsers.includes(email) && !roles[email]);
+    if (missingRoles.length > 0) {
+      return res.redirect(`/admin/settings?type=error&message=Choose a role for new users: ${missingRoles.join(', ')}`);
+    }
+    
+    // The owner can't be locked out by another admin
+    const owner = settingsManager.getOwner();
+    if (owner && !userList.includes(owner)) {
+      return res.redirect(`/admin/settings?type=error&message=The site owner (${owner}) cannot be removed`);
+    }
+    if (owner && roles[owner] && roles[owner] !== 'admin') {
+      return res.redirect(`/admin/settings?type=error&message=The site owner (${owner}) must keep the admin role`);
     }
+    
+    // Someone must be left who can change these settings
+    const isAdmin = email => (roles[email] || settingsManager.getUserRole(email)) === 'admin';
+    if (!userList.some(email => currentUsers.includes(email) && isAdmin(email))) {
+      return res.redirect('/admin/settings?type=error&message=The allowed users must include at least one admin');
+    }
+    
+    const beforeHash = await auditLog.hashFile(SETTINGS_FILE);
+    await settingsManager.setAllowedUsers(userList, roles);
+    console.log(`[SETTINGS] ${new Date().toISOString()} - Allowed users updated - User: ${req.user.email}`);
+    const added = userList.filter(email => !currentUsers.includes(email)).map(email => `${email} as ${roles[email]}`);
+    const removed = currentUsers.filter(email => !userList.includes(email));
+    await recordAudit(req, 'SETTINGS', SETTINGS_FILE, `Updated allowed users (added: ${added.join(', ') || 'none'}; removed: ${removed.join(', ') || 'none'})`, {
+      before: beforeHash,
+      after: await auditLog.hashFile(SETTINGS_FILE)
+    });
+    
+    res.redirect('/admin/settings?type=success&message=Allowed users list updated successfully');
   } catch (error) {
     console.error(`[ERROR] ${new Date().toISOString()} - Failed to save user settings:`, error.message);
     res.redirect('/admin/settings?type=error&message=Failed to save user settings');
   }
 }
 
+/**
+ * Update the roles of allowed users
+ * Body: email_<n> and role_<n> pairs, one per user
+ */
+async function handler_adminSettingsRoles(req, res) {
+  try {
+    const allowedUsers = settingsManager.getAllowedUsers();
+    const roles = {};
+    
+    for (const [key, email] of Object.entries(req.body)) {
+      const match = key.match(/^email_(\d+)$/);
+      // Users without a role in the form (like the owner, whose role can't change) keep theirs
+      if (match && allowedUsers.includes(normalizeEmail(email)) && req.body[`role_${match[1]}`] !== undefined) {
+        roles[normalizeEmail(email)] = req.body[`role_${match[1]}`];
+      }
+    }
+    
+    if (Object.values(roles).some(role => !ROLES.includes(role))) {
+      return res.redirect('/admin/settings?type=error&message=Unknown role');
+    }
+    
+    const owner = settingsManager.getOwner();
+    if (owner && roles[owner] && roles[owner] !== 'admin') {
+      return res.redirect(`/admin/settings?type=error&message=The site owner (${owner}) must keep the admin role`);
+    }
+    
+    const resulting = allowedUsers.map(email => roles[email] || settingsManager.getUserRole(email));
+    if (allowedUsers.length > 0 && !resulting.includes('admin')) {
+      return res.redirect('/admin/settings?type=error&message=At least one user must keep the admin role');
+    }
+    
+    const changes = Object.entries(roles)
+      .filter(([email, role]) => settingsManager.getUserRole(email) !== role)
+      .map(([email, role]) => `${email}: ${settingsManager.getUserRole(email)} -> ${role}`);
+    const beforeHash = await auditLog.hashFile(SETTINGS_FILE);
+    
+    await settingsManager.setUserRoles(roles);
+    console.log(`[SETTINGS] ${new Date().toISOString()} - User roles updated - User: ${req.user.email}`);
+    await recordAudit(req, 'SETTINGS', SETTINGS_FILE, `Updated user roles (${changes.join(', ') || 'no changes'})`, {
+      before: beforeHash,
+      after: await auditLog.hashFile(SETTINGS_FILE)
+    });
+    
+    res.redirect('/admin/settings?type=success&message=User roles saved successfully');
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to save user roles:`, error.message);
+    res.redirect('/admin/settings?type=error&message=Failed to save user roles');
+  }
+}
+
+/**
+ * Create a local account
+ */
+async function handler_adminAccountsCreate(req, res) {
+  try {
+    const { username, email, name, password } = req.body;
+    
+    const beforeHash = await auditLog.hashFile(localAccounts.configPath);
+    
+    const result = await localAccounts.add({ username, email, name, password });
+    if (!result.valid) {
+      return res.redirect(`/admin/settings?type=error&message=${encodeURIComponent(result.error)}`);
+    }
+    
+    console.log(`[SETTINGS] ${new Date().toISOString()} - Local account created: ${String(username).trim().toLowerCase()} - User: ${req.user.email}`);
+    await recordAudit(req, 'SETTINGS', localAccounts.configPath, `Created local account ${String(username).trim().toLowerCase()} (${email.trim()})`, {
+      before: beforeHash,
+      after: await auditLog.hashFile(localAccounts.configPath)
+    });
+    
+    let message = 'Account created';
+    if (!settingsManager.isUserAllowed(email.trim())) {
+      message += ` - add ${email.trim()} to the allowed users so it can sign in`;
+    }
+    
+    res.redirect(`/admin/settings?type=success&message=${encodeURIComponent(message)}`);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to create account:`, error.message);
+    res.redirect('/admin/settings?type=error&message=Failed to create account');
+  }
+}
+
+/**
+ * Set a new password for a local account
+ */
+async function handler_adminAccountsPassword(req, res) {
+  try {
+    const username = req.params.username;
+    
+    const beforeHash = await auditLog.hashFile(localAccounts.configPath);
+    
+    const result = await localAccounts.setPassword(username, req.body.password);
+    if (!result.valid) {
+      return res.redirect(`/admin/settings?type=error&message=${encodeURIComponent(result.error)}`);
+    }
+    
+    console.log(`[SETTINGS] ${new Date().toISOString()} - Password changed for local account: ${username} - User: ${req.user.email}`);
+    await recordAudit(req, 'SETTINGS', localAccounts.configPath, `Changed the password of local account ${username}`, {
+      before: beforeHash,
+      after: await auditLog.hashFile(localAccounts.configPath)
+    });
+    res.redirect(`/admin/settings?type=success&message=${encodeURIComponent(`Password changed for ${username}`)}`);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to change password:`, error.message);
+    res.redirect('/admin/settings?type=error&message=Failed to change password');
+  }
+}
+
+/**
+ * Delete a local account
+ */
+async function handler_adminAccountsDelete(req, res) {
+  try {
+    const username = req.params.username;
+    
+    // Deleting the account you are signed in with would lock you out once the session ends
+    if (req.user.provider === 'local' && req.user.username === username) {
+      return res.redirect('/admin/settings?type=error&message=You cannot delete the account you are signed in with');
+    }
+    
+    const beforeHash = await auditLog.hashFile(localAccounts.configPath);
+    
+    if (!(await localAccounts.remove(username))) {
+      return res.redirect('/admin/settings?type=error&message=Account not found');
+    }
+    
+    console.log(`[SETTINGS] ${new Date().toISOString()} - Local account deleted: ${username} - User: ${req.user.email}`);
+    await recordAudit(req, 'SETTINGS', localAccounts.configPath, `Deleted local account ${username}`, {
+      before: beforeHash,
+      after: await auditLog.hashFile(localAccounts.configPath)
+    });
+    res.redirect(`/admin/settings?type=success&message=${encodeURIComponent(`Account ${username} deleted`)}`);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to delete account:`, error.message);
+    res.redirect('/admin/settings?type=error&message=Failed to delete account');
+  }
+}
+
+/**
+ * Redirects page - Stored and front matter redirects
+ */
+async function handler_adminRedirects(req, res) {
+  try {
+    res.render(path.join(__dirname, 'templates', 'admin', 'redirects.ejs'), {
+      user: req.user,
+      redirects: redirectManager.list(),
+      frontMatterRedirects: redirectManager.listFrontMatterRedirects(),
+      message: req.query.message || null,
+      messageType: req.query.type || 'success'
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render redirects page:`, error.message);
+    res.status(500).send('Internal Server Error - Unable to load redirects');
+  }
+}
+
+/**
+ * Add or replace a redirect
+ */
+async function handler_adminRedirectsAdd(req, res) {
+  try {
+    const { from, to } = req.body;
+    const status = parseInt(req.body.status, 10) || 301;
+    
+    const beforeHash = await auditLog.hashFile(redirectManager.configPath);
+    
+    const result = await redirectManager.add(from || '', to || '', { status });
+    if (!result.valid) {
+      return res.redirect(`/admin/redirects?type=error&message=${encodeURIComponent(result.error)}`);
+    }
+    
+    console.log(`[REDIRECT] ${new Date().toISOString()} - Added ${from.trim()} -> ${to.trim()} (${status}) - User: ${req.user.email}`);
+    await recordAudit(req, 'REDIRECT', from.trim(), `Added ${from.trim()} -> ${to.trim()} (${status})`, {
+      before: beforeHash,
+      after: await auditLog.hashFile(redirectManager.configPath)
+    });
+    res.redirect('/admin/redirects?type=success&message=Redirect saved');
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to save redirect:`, error.message);
+    res.redirect('/admin/redirects?type=error&message=Failed to save redirect');
+  }
+}
+
+/**
+ * Delete a stored redirect
+ */
+async function handler_adminRedirectsDelete(req, res) {
+  try {
+    const beforeHash = await auditLog.hashFile(redirectManager.configPath);
+    
+    const removed = await redirectManager.remove(req.body.from || '');
+    if (!removed) {
+      return res.redirect('/admin/redirects?type=error&message=Redirect not found');
+    }
+    
+    console.log(`[REDIRECT] ${new Date().toISOString()} - Deleted ${req.body.from} - User: ${req.user.email}`);
+    await recordAudit(req, 'REDIRECT', req.body.from, `Deleted redirect from ${req.body.from}`, {
+      before: beforeHash,
+      after: await auditLog.hashFile(redirectManager.configPath)
+    });
+    res.redirect('/admin/redirects?type=success&message=Redirect deleted');
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to delete redirect:`, error.message);
+    res.redirect('/admin/redirects?type=error&message=Failed to delete redirect');
+  }
+}
+
+/**
+ * Menus page - Editor for one navigation menu
+ */
+async function handler_adminMenus(req, res) {
+  try {
+    const menuNames = menuManager.getMenuNames();
+    const name = menuNames.includes(req.query.menu) ? req.query.menu : menuNames[0];
+    
+    res.render(path.join(__dirname, 'templates', 'admin', 'menus.ejs'), {
+      user: req.user,
+      menuNames: menuNames,
+      menuName: name,
+      builtIn: menuManager.isBuiltIn(name),
+      customized: menuManager.isCustomized(name),
+      items: menuManager.getItems(name),
+      pages: flattenPageTree(contentIndexer.getPageTree({ includeDrafts: true })),
+      message: req.query.message || null,
+      messageType: req.query.type || 'success'
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render menus page:`, error.message);
+    res.status(500).send('Internal Server Error - Unable to load menus');
+  }
+}
+
+/**
+ * Create an empty named menu
+ */
+async function handler_adminMenusCreate(req, res) {
+  try {
+    const name = (req.body.name || '').trim().toLowerCase();
+    
+    if (menuManager.getMenuNames().includes(name)) {
+      return res.redirect(`/admin/menus?menu=${encodeURIComponent(name)}&type=error&message=${encodeURIComponent(`Menu "${name}" already exists`)}`);
+    }
+    
+    const beforeHash = await auditLog.hashFile(menuManager.configPath);
+    
+    const result = await menuManager.save(name, []);
+    if (!result.valid) {
+      return res.redirect(`/admin/menus?type=error&message=${encodeURIComponent(result.error)}`);
+    }
+    
+    console.log(`[MENU] ${new Date().toISOString()} - Created menu ${name} - User: ${req.user.email}`);
+    await recordAudit(req, 'MENU', name, `Created menu ${name}`, {
+      before: beforeHash,
+      after: await auditLog.hashFile(menuManager.configPath)
+    });
+    res.redirect(`/admin/menus?menu=${encodeURIComponent(name)}&type=success&message=Menu created`);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to create menu:`, error.message);
+    res.redirect('/admin/menus?type=error&message=Failed to create menu');
+  }
+}
+
+/**
+ * Save the items of a menu (JSON, sent by the menu editor)
+ */
+async function handler_adminMenusSave(req, res) {
+  try {
+    const name = req.params.name;
+    
+    if (!menuManager.getMenuNames().includes(name)) {
+      return res.status(404).json({ success: false, error: 'Menu not found' });
+    }
+    
+    const beforeHash = await auditLog.hashFile(menuManager.configPath);
+    
+    const result = await menuManager.save(name, req.body.items);
+    if (!result.valid) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+    
+    console.log(`[MENU] ${new Date().toISOString()} - Saved menu ${name} - User: ${req.user.email}`);
+    await recordAudit(req, 'MENU', name, `Saved menu ${name}`, {
+      before: beforeHash,
+      after: await auditLog.hashFile(menuManager.configPath)
+    });
+    markSiteChanged();
+    
+    res.json({ success: true, message: 'Menu saved' });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to save menu:`, error.message);
+    res.status(500).json({ success: false, error: 'Failed to save menu' });
+  }
+}
+
+/**
+ * Delete a menu, or reset a built-in menu to its default
+ */
+async function handler_adminMenusDelete(req, res) {
+  try {
+    const name = req.params.name;
+    const builtIn = menuManager.isBuiltIn(name);
+    
+    const beforeHash = await auditLog.hashFile(menuManager.configPath);
+    
+    const removed = await menuManager.remove(name);
+    if (!removed) {
+      return res.redirect('/admin/menus?type=error&message=Menu not found');
+    }
+    
+    console.log(`[MENU] ${new Date().toISOString()} - ${builtIn ? 'Reset' : 'Deleted'} menu ${name} - User: ${req.user.email}`);
+    await recordAudit(req, 'MENU', name, `${builtIn ? 'Reset' : 'Deleted'} menu ${name}`, {
+      before: beforeHash,
+      after: await auditLog.hashFile(menuManager.configPath)
+    });
+    markSiteChanged();
+    
+    if (builtIn) {
+      return res.redirect(`/admin/menus?menu=${encodeURIComponent(name)}&type=success&message=Menu reset to default`);
+    }
+    res.redirect('/admin/menus?type=success&message=Menu deleted');
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to delete menu:`, error.message);
+    res.redirect('/admin/menus?type=error&message=Failed to delete menu');
+  }
+}
+
+/**
+ * Read audit log filters from a query string, dropping invalid values
+ * @returns {Object} { action, user, q, from, to } with empty strings for unset filters
+ */
+function parseAuditFilters(query) {
+  const text = value => (typeof value === 'string' ? value.trim().slice(0, 200) : '');
+  const date = value => (/^\d{4}-\d{2}-\d{2}$/.test(text(value)) ? text(value) : '');
+  
+  return {
+    action: AUDIT_ACTIONS.includes(query.action) ? query.action : '',
+    user: text(query.user),
+    q: text(query.q),
+    from: date(query.from),
+    to: date(query.to)
+  };
+}
+
+/**
+ * Audit log page - Filterable list of admin changes, newest first
+ */
+async function handler_adminAudit(req, res) {
+  const pageSize = 50;
+  
+  try {
+    const filters = parseAuditFilters(req.query);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const { entries, total } = await auditLog.query(filters, (page - 1) * pageSize, pageSize);
+    
+    // Filters as a query string, for export and page links
+    const filterQuery = new URLSearchParams(Object.entries(filters).filter(([, value]) => value)).toString();
+    
+    res.render(path.join(__dirname, 'templates', 'admin', 'audit.ejs'), {
+      user: req.user,
+      entries: entries,
+      total: total,
+      page: page,
+      totalPages: Math.max(1, Math.ceil(total / pageSize)),
+      filters: filters,
+      filterQuery: filterQuery,
+      actions: AUDIT_ACTIONS
+    });
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to render audit log:`, error.message);
+    res.status(500).send('Internal Server Error - Unable to load audit log');
+  }
+}
+
+/**
+ * Download the filtered audit log as CSV or JSON lines
+ * Query: the audit page filters, plus format=csv|jsonl
+ */
+async function handler_adminAuditExport(req, res) {
+  try {
+    const filters = parseAuditFilters(req.query);
+    const format = req.query.format === 'jsonl' ? 'jsonl' : 'csv';
+    const { entries } = await auditLog.query(filters);
+    
+    // Spreadsheets run cells starting with these characters as formulas
+    const csvField = value => {
+      const text = value === null || value === undefined ? '' : String(value);
+      const safe = /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+      return `"${safe.replace(/"/g, '""')}"`;
+    };
+    
+    const body = format === 'jsonl'
+      ? entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length > 0 ? '\n' : '')
+      : [AUDIT_FIELDS.join(','), ...entries.map(entry => AUDIT_FIELDS.map(field => csvField(entry[field])).join(','))].join('\r\n') + '\r\n';
+    
+    console.log(`[INFO] ${new Date().toISOString()} - Audit log exported (${entries.length} entries, ${format}) - User: ${req.user.email}`);
+    
+    res.attachment(`audit-${new Date().toISOString().split('T')[0]}.${format}`);
+    res.type(format === 'jsonl' ? 'application/x-ndjson' : 'text/csv');
+    res.send(body);
+  } catch (error) {
+    console.error(`[ERROR] ${new Date().toISOString()} - Failed to export audit log:`, error.message);
+    res.status(500).send('Internal Server Error - Unable to export audit log');
+  }
+}
+
 // Admin routes (with CSRF protection for state-changing operations)
+app.use('/admin', limitAdminWrites);
 app.get('/admin', requireAuth, handler_adminDashboard);
-app.get('/admin/create', requireAuth, handler_adminCreate);
-app.post('/admin/create', requireAuth, verifyCsrfToken, handler_adminCreatePost);
-app.get('/admin/edit/:slug', requireAuth, handler_adminEdit);
-app.post('/admin/edit/:slug', requireAuth, verifyCsrfToken, handler_adminEditPost);
-app.delete('/admin/delete/:slug', requireAuth, verifyCsrfToken, handler_adminDelete);
-app.post('/admin/reorder', requireAuth, verifyCsrfToken, handler_adminReorder);
-app.get('/admin/themes', requireAuth, handler_adminThemes);
-app.post('/admin/themes/activate', requireAuth, verifyCsrfToken, handler_adminThemesActivate);
-app.get('/admin/settings', requireAuth, handler_adminSettings);
-app.post('/admin/settings/site', requireAuth, verifyCsrfToken, handler_adminSettingsSite);
-app.post('/admin/settings/users', requireAuth, verifyCsrfToken, handler_adminSettingsUsers);
+app.get('/admin/preview/:slug(*)', requireAuth, handler_adminPreview);
+app.post('/admin/render', requireAuth, verifyCsrfToken, handler_adminRender);
+app.get('/admin/create', requireAuth, loadParentPages, handler_adminCreate);
+app.post('/admin/create', requireAuth, verifyCsrfToken, loadParentPages, handler_adminCreatePost);
+app.get('/admin/edit/:slug(*)', requireAuth, handler_adminEdit);
+app.post('/admin/edit/:slug(*)', requireAuth, verifyCsrfToken, handler_adminEditPost);
+app.delete('/admin/delete/:slug(*)', requireAuth, verifyCsrfToken, handler_adminDelete);
+app.get('/admin/history', requireAuth, handler_adminHistoryList);
+app.get('/admin/history/:slug(*)', requireAuth, handler_adminHistory);
+app.post('/admin/history/:slug(*)/restore', requireAuth, verifyCsrfToken, handler_adminHistoryRestore);
+app.get('/admin/media', requireAuth, handler_adminMedia);
+app.get('/admin/media.json', requireAuth, handler_adminMediaList);
+app.post('/admin/media/upload', requireAuth, verifyCsrfToken, parseMediaUpload, handler_adminMediaUpload);
+app.delete('/admin/media/:name', requireAuth, requireRole('editor'), verifyCsrfToken, handler_adminMediaDelete);
+app.post('/admin/reorder', requireAuth, requireRole('editor'), verifyCsrfToken, handler_adminReorder);
+app.get('/admin/themes', requireAuth, requireRole('admin'), handler_adminThemes);
+app.post('/admin/themes/activate', requireAuth, requireRole('admin'), verifyCsrfToken, handler_adminThemesActivate);
+app.get('/admin/settings', requireAuth, requireRole('admin'), handler_adminSettings);
+app.post('/admin/settings/site', requireAuth, requireRole('admin'), verifyCsrfToken, handler_adminSettingsSite);
+app.post('/admin/settings/robots', requireAuth, requireRole('admin'), verifyCsrfToken, handler_adminSettingsRobots);
+app.post('/admin/settings/users', requireAuth, requireRole('admin'), verifyCsrfToken, handler_adminSettingsUsers);
+app.post('/admin/settings/roles', requireAuth, requireRole('admin'), verifyCsrfToken, handler_adminSettingsRoles);
+app.post('/admin/settings/accounts', requireAuth, requireRole('admin'), verifyCsrfToken, handler_adminAccountsCreate);
+app.post('/admin/settings/accounts/:username/password', requireAuth, requireRole('admin'), verifyCsrfToken, handler_adminAccountsPassword);
+app.post('/admin/settings/accounts/:username/delete', requireAuth, requireRole('admin'), verifyCsrfToken, handler_adminAccountsDelete);
+app.get('/admin/redirects', requireAuth, requireRole('editor'), handler_adminRedirects);
+app.post('/admin/redirects', requireAuth, requireRole('editor'), verifyCsrfToken, handler_adminRedirectsAdd);
+app.post('/admin/redirects/delete', requireAuth, requireRole('editor'), verifyCsrfToken, handler_adminRedirectsDelete);
+app.get('/admin/menus', requireAuth, requireRole('editor'), handler_adminMenus);
+app.post('/admin/menus', requireAuth, requireRole('editor'), verifyCsrfToken, handler_adminMenusCreate);
+app.post('/admin/menus/:name', requireAuth, requireRole('editor'), verifyCsrfToken, handler_adminMenusSave);
+app.post('/admin/menus/:name/delete', requireAuth, requireRole('editor'), verifyCsrfToken, handler_adminMenusDelete);
+app.get('/admin/audit', requireAuth, requireRole('admin'), handler_adminAudit);
+app.get('/admin/audit/export', requireAuth, requireRole('admin'), handler_adminAuditExport);
+
+// Blog posts last, so a permalink pattern such as /:slug never shadows another route
+app.get('*', handler_blogPost);
+
+// Anything else: redirects for moved content, then the themed 404
+app.use(handler_notFound);
 
 // ============================================================================
 // SERVER INITIALIZATION
@@ -965,11 +2744,23 @@ async function startServer() {
     // Load settings
     console.log(`[INFO] ${new Date().toISOString()} - Server: Loading settings...`);
     await settingsManager.load();
+    await redirectManager.load();
+    await menuManager.load();
+    
+    // Set up sign-in providers (OpenID Connect needs its issuer's discovery document)
+    console.log(`[INFO] ${new Date().toISOString()} - Server: Setting up sign-in providers...`);
+    await initializeProviders(localAccounts);
     
     // Initialize content indexer
     console.log(`[INFO] ${new Date().toISOString()} - Server: Initializing content indexer...`);
     await contentIndexer.initialize();
     
+    console.log(`[INFO] ${new Date().toISOString()} - Server: Rendered HTML cache budget ${(renderCache.maxBytes / 1024 / 1024).toFixed(1)} MB`);
+    
+    // Load image variants and resize any new uploads in the background
+    console.log(`[INFO] ${new Date().toISOString()} - Server: Initializing image processor...`);
+    await imageProcessor.initialize();
+    
     // Start file watching
     console.log(`[INFO] ${new Date().toISOString()} - Server: Starting file watcher...`);
     contentIndexer.startWatching();
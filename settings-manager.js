@@ -1,8 +1,30 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { DEFAULT_PERMALINK_PATTERN, validatePattern } = require('./permalinks');
 
 const SETTINGS_FILE = path.join(__dirname, 'config', 'site-settings.json');
 
+const DEFAULT_POSTS_PER_PAGE = 10;
+const DEFAULT_ROBOTS_TXT = 'User-agent: *\nDisallow: /admin\nDisallow: /login\n';
+
+// Admin roles, most privileged first:
+//   admin  - everything, including settings, themes and users
+//   editor - all content, media, menus and redirects
+//   author - only content whose `author` front matter is their email address
+const ROLES = ['admin', 'editor', 'author'];
+
+// Role of allowed users without a valid stored role: the least privileged one
+const DEFAULT_ROLE = 'author';
+
+/**
+ * Normalize an email address for storing and comparing (addresses are matched case-insensitively)
+ * @param {string} email
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
 /**
  * Settings Manager - Handles site configuration
  */
@@ -11,7 +33,11 @@ class SettingsManager {
     this.settings = {
       siteName: 'My Blog',
       footerText: 'Powered by Markdown',
-      allowedUsers: []
+      postsPerPage: DEFAULT_POSTS_PER_PAGE,
+      robotsTxt: DEFAULT_ROBOTS_TXT,
+      permalinkPattern: DEFAULT_PERMALINK_PATTERN,
+      allowedUsers: [],
+      userRoles: {}
     };
     this.loaded = false;
   }
@@ -23,6 +49,29 @@ class SettingsManager {
     try {
       const data = await fs.readFile(SETTINGS_FILE, 'utf8');
       this.settings = JSON.parse(data);
+      
+      // Users allowed before roles existed keep the full access they had
+      if (!this.settings.userRoles) {
+        this.settings.userRoles = Object.fromEntries((this.settings.allowedUsers || []).map(email => [email, 'admin']));
+      }
+      
+      // Addresses saved before they were normalized
+      if (this.settings.allowedUsers) {
+        this.settings.allowedUsers = [...new Set(this.settings.allowedUsers.map(normalizeEmail))];
+      }
+      this.settings.userRoles = Object.fromEntries(
+        Object.entries(this.settings.userRoles).map(([email, role]) => [normalizeEmail(email), role])
+      );
+      
+      // Sites set up before the owner was recorded are owned by their first admin
+      if (!this.settings.owner && this.getAllowedUsers().length > 0) {
+        const users = this.getAllowedUsers();
+        this.settings.owner = users.find(email => this.settings.userRoles[email] === 'admin') || users[0];
+        this.settings.userRoles[this.settings.owner] = 'admin';
+      } else if (this.settings.owner) {
+        this.settings.owner = normalizeEmail(this.settings.owner);
+      }
+      
       this.loaded = true;
       console.log(`[INFO] ${new Date().toISOString()} - Settings loaded`);
     } catch (error) {
@@ -79,6 +128,53 @@ class SettingsManager {
     await this.save();
   }
 
+  /**
+   * Get number of blog entries shown per page of the blog list
+   */
+  getPostsPerPage() {
+    const perPage = parseInt(this.settings.postsPerPage, 10);
+    return perPage > 0 ? perPage : DEFAULT_POSTS_PER_PAGE;
+  }
+
+  /**
+   * Set number of blog entries shown per page of the blog list
+   */
+  async setPostsPerPage(count) {
+    this.settings.postsPerPage = count;
+    await this.save();
+  }
+
+  /**
+   * Get robots.txt content
+   */
+  getRobotsTxt() {
+    return typeof this.settings.robotsTxt === 'string' ? this.settings.robotsTxt : DEFAULT_ROBOTS_TXT;
+  }
+
+  /**
+   * Set robots.txt content
+   */
+  async setRobotsTxt(text) {
+    this.settings.robotsTxt = text;
+    await this.save();
+  }
+
+  /**
+   * Get the URL pattern of blog posts (falls back to the default if the stored one is invalid)
+   */
+  getPermalinkPattern() {
+    const pattern = this.settings.permalinkPattern;
+    return pattern && validatePattern(pattern).valid ? pattern : DEFAULT_PERMALINK_PATTERN;
+  }
+
+  /**
+   * Set the URL pattern of blog posts
+   */
+  async setPermalinkPattern(pattern) {
+    this.settings.permalinkPattern = pattern;
+    await this.save();
+  }
+
   /**
    * Get allowed users list
    */
@@ -87,22 +183,59 @@ class SettingsManager {
   }
 
   /**
-   * Check if user is allowed (empty list = all users allowed)
+   * Check if user is allowed (empty list = nobody until the site has an owner)
    */
   isUserAllowed(email) {
-    const allowedUsers = this.getAllowedUsers();
-    // If no restrictions, allow all users
-    if (!allowedUsers || allowedUsers.length === 0) {
-      return true;
+    return this.getAllowedUsers().includes(normalizeEmail(email));
+  }
+
+  /**
+   * Check whether the site has been claimed by an owner
+   * Until then nobody can use the admin
+   */
+  hasOwner() {
+    return this.getOwner() !== null;
+  }
+
+  /**
+   * Get the email of the user who set up the site
+   * The owner is always an allowed user with the admin role
+   */
+  getOwner() {
+    return this.settings.owner || null;
+  }
+
+  /**
+   * Check whether a user is the owner of the site
+   */
+  isOwner(email) {
+    return this.hasOwner() && normalizeEmail(email) === this.getOwner();
+  }
+
+  /**
+   * Make a user the owner of a site that has none: the only allowed user, with the admin role
+   * @param {string} email - User email
+   * @returns {Promise<boolean>} False if the site already has an owner
+   */
+  async claimOwnership(email) {
+    // Checked and set before saving, so two simultaneous first sign-ins can't both claim
+    if (this.hasOwner()) {
+      return false;
     }
-    // Check if user email is in allowed list
-    return allowedUsers.includes(email);
+
+    email = normalizeEmail(email);
+    this.settings.allowedUsers = [email];
+    this.settings.userRoles = { [email]: 'admin' };
+    this.settings.owner = email;
+    await this.save();
+    return true;
   }
 
   /**
    * Add allowed user
    */
   async addAllowedUser(email) {
+    email = normalizeEmail(email);
     if (!this.settings.allowedUsers) {
       this.settings.allowedUsers = [];
     }
@@ -117,19 +250,72 @@ class SettingsManager {
    */
   async removeAllowedUser(email) {
     if (this.settings.allowedUsers) {
-      this.settings.allowedUsers = this.settings.allowedUsers.filter(u => u !== email);
+      this.settings.allowedUsers = this.settings.allowedUsers.filter(u => u !== normalizeEmail(email));
       await this.save();
     }
   }
 
   /**
-   * Set allowed users list
+   * Set allowed users list (roles of removed users are dropped)
+   * @param {Array<string>} users - User emails
+   * @param {Object} [roles] - Role by email for users that get a new role, e.g. added users
    */
-  async setAllowedUsers(users) {
+  async setAllowedUsers(users, roles = {}) {
+    users = [...new Set(users.map(normalizeEmail))];
+    const userRoles = Object.fromEntries(
+      Object.entries(this.settings.userRoles || {}).filter(([email]) => users.includes(email))
+    );
+    for (const [email, role] of Object.entries(roles)) {
+      if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role: ${role}`);
+      }
+      userRoles[normalizeEmail(email)] = role;
+    }
+
     this.settings.allowedUsers = users;
+    this.settings.userRoles = userRoles;
+    await this.save();
+  }
+
+  /**
+   * Get the role of a user
+   * @param {string} email - User email
+   * @returns {string} admin, editor or author
+   */
+  getUserRole(email) {
+    const role = (this.settings.userRoles || {})[normalizeEmail(email)];
+    return ROLES.includes(role) ? role : DEFAULT_ROLE;
+  }
+
+  /**
+   * Set the roles of allowed users
+   * @param {Object} roles - Role by email; users not listed keep their current role
+   */
+  async setUserRoles(roles) {
+    this.settings.userRoles = { ...this.settings.userRoles };
+    for (const [email, role] of Object.entries(roles)) {
+      if (!ROLES.includes(role)) {
+        throw new Error(`Unknown role: ${role}`);
+      }
+      this.settings.userRoles[normalizeEmail(email)] = role;
+    }
     await this.save();
   }
+
+  /**
+   * Check whether a role includes the permissions of another
+   * @param {string} role - Role a user has
+   * @param {string} required - Least privileged role that is allowed
+   * @returns {boolean}
+   */
+  roleAllows(role, required) {
+    const index = ROLES.indexOf(role);
+    return index !== -1 && index <= ROLES.indexOf(required);
+  }
 }
 
 // Export singleton instance
 module.exports = new SettingsManager();
+module.exports.ROLES = ROLES;
+module.exports.normalizeEmail = normalizeEmail;
+module.exports.SETTINGS_FILE = SETTINGS_FILE;
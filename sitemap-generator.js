@@ -0,0 +1,97 @@
+const { escapeXml } = require('./security');
+const { getContentUrl } = require('./permalinks');
+
+/**
+ * SitemapGenerator - Builds an XML sitemap of all published content
+ * The sitemap for the canonical site URL is cached until the content index changes; one for
+ * a URL taken from the request is built every time, so Host headers can't fill the cache
+ */
+class SitemapGenerator {
+  constructor(contentIndexer, settingsManager) {
+    this.contentIndexer = contentIndexer;
+    this.settingsManager = settingsManager;
+    this.cache = null; // xml for the canonical site URL
+  }
+
+  /**
+   * Drop the cached sitemap so it is regenerated on next request
+   */
+  invalidate() {
+    if (this.cache !== null) {
+      this.cache = null;
+      console.log(`[INFO] ${new Date().toISOString()} - SitemapGenerator: Sitemap cache invalidated`);
+    }
+  }
+
+  /**
+   * Get the sitemap XML document
+   * @param {string} baseUrl - Absolute site URL without trailing slash
+   * @param {boolean} [cacheable=true] - Whether baseUrl is the configured site URL
+   * @returns {string} Sitemap XML document
+   */
+  getSitemap(baseUrl, cacheable = true) {
+    if (cacheable && this.cache !== null) {
+      return this.cache;
+    }
+
+    const xml = this._buildSitemap(baseUrl);
+    if (cacheable) {
+      this.cache = xml;
+      console.log(`[INFO] ${new Date().toISOString()} - SitemapGenerator: Generated sitemap`);
+    }
+
+    return xml;
+  }
+
+  /**
+   * Collect the URLs to include in the sitemap
+   * Only published items are returned by the indexer, so drafts are excluded
+   * @private
+   */
+  _getUrls(baseUrl) {
+    const blogEntries = this.contentIndexer.getBlogEntries();
+    const pages = this.contentIndexer.getPages();
+
+    // The home page changes whenever a blog entry does
+    const homeUpdated = blogEntries.reduce(
+      (latest, entry) => (!latest || entry.updated > latest ? entry.updated : latest),
+      null
+    );
+
+    const pattern = this.settingsManager.getPermalinkPattern();
+    const urls = [{ loc: `${baseUrl}/`, lastmod: homeUpdated }];
+
+    for (const item of [...pages, ...blogEntries]) {
+      urls.push({ loc: `${baseUrl}${getContentUrl(item, pattern)}`, lastmod: item.updated });
+    }
+
+    return urls;
+  }
+
+  /**
+   * Build the sitemap document
+   * @private
+   */
+  _buildSitemap(baseUrl) {
+    const lines = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'
+    ];
+
+    for (const url of this._getUrls(baseUrl)) {
+      lines.push('<url>', `<loc>${escapeXml(url.loc)}</loc>`);
+
+      if (url.lastmod) {
+        lines.push(`<lastmod>${url.lastmod.toISOString()}</lastmod>`);
+      }
+
+      lines.push('</url>');
+    }
+
+    lines.push('</urlset>');
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = SitemapGenerator;
@@ -0,0 +1,221 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { validateFilePath } = require('./security');
+
+// Written into every export so a later export can safely replace the directory
+const EXPORT_MARKER = '.static-export';
+
+/**
+ * StaticExporter - Writes every public route of the site to a directory of static files
+ * Pages use pretty URLs (`/blog/slug/index.html`), so any static host that serves
+ * `index.html` for directory requests reproduces the site's URLs
+ */
+class StaticExporter {
+  /**
+   * @param {Object} components
+   * @param {ContentIndexer} components.contentIndexer - Initialized content index
+   * @param {ThemeManager} components.themeManager - Renders the active theme's templates
+   * @param {ViewBuilder} components.viewBuilder - Builds template data for each route
+   * @param {FeedGenerator} components.feedGenerator - RSS and Atom feeds
+   * @param {SitemapGenerator} components.sitemapGenerator - XML sitemap
+   * @param {Object} paths
+   * @param {string} paths.themesPath - Themes directory
+   * @param {string} paths.mediaPath - Uploaded images directory
+   * @param {string} paths.imageCachePath - Resized image variants directory
+   */
+  constructor(components, paths) {
+    this.contentIndexer = components.contentIndexer;
+    this.themeManager = components.themeManager;
+    this.viewBuilder = components.viewBuilder;
+    this.feedGenerator = components.feedGenerator;
+    this.sitemapGenerator = components.sitemapGenerator;
+    this.paths = paths;
+    this.outputPath = null;
+    this.fileCount = 0;
+  }
+
+  /**
+   * Export the site
+   * @param {string} outputPath - Directory to write to (replaced if it holds a previous export)
+   * @param {string} baseUrl - Absolute site URL without trailing slash, used in feeds and the sitemap
+   * @returns {Promise<number>} Number of files written
+   */
+  async export(outputPath, baseUrl) {
+    this.outputPath = path.resolve(outputPath);
+    this.fileCount = 0;
+
+    await this._prepareOutput();
+
+    await this._exportBlogList();
+    await this._exportContent();
+    await this._exportArchives('tag', this.contentIndexer.getTagCloud());
+    await this._exportArchives('category', this.contentIndexer.getCategories());
+    await this._exportNotFound();
+
+    await this._writeFile('feed.xml', await this.feedGenerator.getRss(baseUrl));
+    await this._writeFile('atom.xml', await this.feedGenerator.getAtom(baseUrl));
+    await this._writeFile('sitemap.xml', this.sitemapGenerator.getSitemap(baseUrl));
+    await this._writeFile('robots.txt', this.viewBuilder.getRobotsTxt(baseUrl));
+
+    const activeTheme = await this.themeManager.getActiveTheme();
+    await this._copyDirectory(path.join(this.paths.themesPath, activeTheme), `themes/${activeTheme}`, file => !file.endsWith('.ejs'));
+    await this._copyDirectory(this.paths.mediaPath, 'media');
+    await this._copyDirectory(this.paths.imageCachePath, 'media/resized');
+
+    await this._writeFile(EXPORT_MARKER, `Exported ${new Date().toISOString()}\n`);
+
+    return this.fileCount;
+  }
+
+  /**
+   * Make sure the output directory is empty, refusing to delete anything that
+   * isn't a previous export or that contains the site itself
+   * @private
+   */
+  async _prepareOutput() {
+    const cwd = process.cwd();
+
+    if (this.outputPath === cwd || cwd.startsWith(this.outputPath + path.sep) ||
+        this.outputPath === path.parse(this.outputPath).root) {
+      throw new Error(`Refusing to export into ${this.outputPath}: it contains the site itself`);
+    }
+
+    let entries;
+    try {
+      entries = await fs.readdir(this.outputPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        await fs.mkdir(this.outputPath, { recursive: true });
+        return;
+      }
+      throw error;
+    }
+
+    if (entries.length > 0) {
+      if (!entries.includes(EXPORT_MARKER)) {
+        throw new Error(`Refusing to overwrite ${this.outputPath}: directory is not empty and is not a previous export`);
+      }
+
+      await fs.rm(this.outputPath, { recursive: true, force: true });
+      await fs.mkdir(this.outputPath, { recursive: true });
+    }
+  }
+
+  /**
+   * Render a theme template as a visitor would see it
+   * @private
+   */
+  async _renderPage(template, data) {
+    return this.themeManager.renderToString(template, {
+      ...this.viewBuilder.getSiteLocals(),
+      ...data,
+      user: null
+    });
+  }
+
+  /**
+   * Home page and every further page of the blog list
+   * @private
+   */
+  async _exportBlogList() {
+    let pageNumber = 1;
+    let view = this.viewBuilder.getBlogListView(pageNumber);
+
+    while (view) {
+      await this._writePage(this.viewBuilder.getBlogListPageUrl(pageNumber), await this._renderPage('blogList', view));
+      pageNumber++;
+      view = this.viewBuilder.getBlogListView(pageNumber);
+    }
+  }
+
+  /**
+   * Every public blog post and page
+   * @private
+   */
+  async _exportContent() {
+    const items = [...this.contentIndexer.getBlogEntries(), ...this.contentIndexer.getPages()];
+
+    for (const item of items) {
+      const view = await this.viewBuilder.getContentView(item);
+      await this._writePage(this.viewBuilder.getContentUrl(item), await this._renderPage(view.template, view.data));
+    }
+  }
+
+  /**
+   * Tag or category archive pages
+   * @private
+   */
+  async _exportArchives(kind, terms) {
+    for (const term of terms) {
+      const view = this.viewBuilder.getArchiveView(kind, term.slug);
+      if (view) {
+        await this._writePage(`/${kind}/${term.slug}`, await this._renderPage('blogList', view));
+      }
+    }
+  }
+
+  /**
+   * 404 page, at the path most static hosts look for
+   * @private
+   */
+  async _exportNotFound() {
+    await this._writeFile('404.html', await this._renderPage('404', { slug: '' }));
+  }
+
+  /**
+   * Write a page to `<url>/index.html`
+   * @private
+   */
+  async _writePage(url, html) {
+    const directory = url.replace(/^\/+|\/+$/g, '');
+    await this._writeFile(directory ? `${directory}/index.html` : 'index.html', html);
+  }
+
+  /**
+   * Write a file inside the output directory
+   * @private
+   */
+  async _writeFile(relativePath, content) {
+    const validation = validateFilePath(relativePath, this.outputPath);
+    if (!validation.valid) {
+      throw new Error(`${validation.error}: ${relativePath}`);
+    }
+
+    await fs.mkdir(path.dirname(validation.sanitizedPath), { recursive: true });
+    await fs.writeFile(validation.sanitizedPath, content);
+    this.fileCount++;
+  }
+
+  /**
+   * Copy a directory tree into the output, skipping hidden files
+   * @private
+   */
+  async _copyDirectory(sourcePath, relativeTarget, include = () => true) {
+    let entries;
+    try {
+      entries = await fs.readdir(sourcePath, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const entry of entries) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+
+      const source = path.join(sourcePath, entry.name);
+      const target = `${relativeTarget}/${entry.name}`;
+
+      if (entry.isDirectory()) {
+        await this._copyDirectory(source, target, include);
+      } else if (entry.isFile() && include(entry.name)) {
+        await this._writeFile(target, await fs.readFile(source));
+      }
+    }
+  }
+}
+
+module.exports = StaticExporter;
@@ -1,6 +1,6 @@
 /**
  * Admin Interface Client-Side JavaScript
- * Handles delete confirmation, reordering, and AJAX operations
+ * Handles delete confirmation, reordering, media uploads, menu editing, and AJAX operations
  */
 
 /**
@@ -43,6 +43,7 @@ function confirmDelete(slug, title) {
     method: 'DELETE',
     headers: {
       'Content-Type': 'application/json',
+      'Accept': 'application/json',
       'X-CSRF-Token': csrfToken
     }
   })
@@ -64,70 +65,505 @@ function confirmDelete(slug, title) {
   });
 }
 
+// Gap left between orders when a list is renumbered, so later moves usually change one file
+const ORDER_STEP = 10;
+
 /**
- * Handle reorder form submission
- * @param {Event} event - Form submit event
- * @param {string} formId - ID of the form being submitted
+ * Work out new orders after a row was moved
+ * The moved row gets an order between its new neighbours when there is room, so only its
+ * file is rewritten; otherwise the siblings are renumbered
+ * @param {HTMLElement[]} siblings - Rows in their new order, each with data-slug and data-order
+ * @param {HTMLElement} moved - The row that was moved
+ * @returns {Array<{slug: string, order: number}>} Rows whose order changes
  */
-function handleReorderSubmit(event, formId) {
-  event.preventDefault();
-  
-  const form = document.getElementById(formId);
-  const inputs = form.querySelectorAll('.order-input');
-  
-  // Collect order updates
-  const items = [];
-  inputs.forEach(input => {
-    items.push({
-      slug: input.dataset.slug,
-      order: parseInt(input.value, 10) || 0
+function computeReorder(siblings, moved) {
+  const orders = siblings.map(row => parseInt(row.dataset.order, 10) || 0);
+  const index = siblings.indexOf(moved);
+  const prev = index > 0 ? orders[index - 1] : null;
+  const next = index < siblings.length - 1 ? orders[index + 1] : null;
+
+  let order = null;
+  if (prev === null && next === null) {
+    return [];
+  } else if (prev === null) {
+    order = next > 0 ? Math.max(0, next - ORDER_STEP) : null;
+  } else if (next === null) {
+    order = prev + ORDER_STEP;
+  } else if (next - prev >= 2) {
+    order = Math.floor((prev + next) / 2);
+  }
+
+  if (order !== null) {
+    return order === orders[index] ? [] : [{ slug: moved.dataset.slug, order }];
+  }
+
+  return siblings
+    .map((row, i) => ({ slug: row.dataset.slug, order: i * ORDER_STEP }))
+    .filter((item, i) => item.order !== orders[i]);
+}
+
+/**
+ * Make the rows of a dashboard table reorderable by dragging their handle
+ * Rows can only be dropped among their siblings (same data-parent); a row takes the
+ * rows nested below it (higher data-depth) along. The new order is saved on drop.
+ * @param {HTMLElement} tbody - Table body with one row per content item
+ */
+function initDragReorder(tbody) {
+  const status = document.getElementById(tbody.dataset.status);
+  let drag = null; // { block: rows being moved, before: row order when the drag started }
+
+  const getRows = () => Array.from(tbody.querySelectorAll('tr[data-slug]'));
+  const depthOf = row => parseInt(row.dataset.depth, 10) || 0;
+
+  /**
+   * A row followed by the rows nested below it
+   */
+  function getBlock(row) {
+    const block = [row];
+    let next = row.nextElementSibling;
+    while (next && depthOf(next) > depthOf(row)) {
+      block.push(next);
+      next = next.nextElementSibling;
+    }
+    return block;
+  }
+
+  /**
+   * The sibling of the dragged row that a row belongs to (itself or an ancestor row)
+   */
+  function getSiblingRow(row) {
+    const head = drag.block[0];
+    let current = row;
+    while (current && depthOf(current) > depthOf(head)) {
+      current = current.previousElementSibling;
+    }
+    return current && current.dataset.parent === head.dataset.parent ? current : null;
+  }
+
+  // Rows are only draggable from their handle, so text and buttons keep working
+  tbody.addEventListener('mousedown', event => {
+    const row = event.target.closest('tr[data-slug]');
+    if (row) {
+      row.draggable = Boolean(event.target.closest('.drag-handle'));
+    }
+  });
+
+  tbody.addEventListener('dragstart', event => {
+    const row = event.target.closest('tr[data-slug]');
+    drag = { block: getBlock(row), before: getRows() };
+    drag.block.forEach(r => r.classList.add('dragging'));
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', row.dataset.slug);
+  });
+
+  tbody.addEventListener('dragover', event => {
+    if (!drag) {
+      return;
+    }
+
+    const over = event.target.closest('tr[data-slug]');
+    const target = over ? getSiblingRow(over) : null;
+    if (!target) {
+      return;
+    }
+
+    event.preventDefault();
+    if (drag.block.includes(target)) {
+      return;
+    }
+
+    // Move the rows live, before or after the sibling depending on which half is hovered
+    const rect = target.getBoundingClientRect();
+    const targetBlock = getBlock(target);
+    const anchor = event.clientY < rect.top + rect.height / 2
+      ? target
+      : targetBlock[targetBlock.length - 1].nextElementSibling;
+
+    drag.block.forEach(r => tbody.insertBefore(r, anchor));
+  });
+
+  tbody.addEventListener('drop', event => {
+    event.preventDefault();
+  });
+
+  tbody.addEventListener('dragend', () => {
+    const { block, before } = drag;
+    drag = null;
+    block.forEach(r => {
+      r.classList.remove('dragging');
+      r.draggable = false;
+    });
+
+    const rows = getRows();
+    if (rows.every((row, i) => row === before[i])) {
+      return;
+    }
+
+    const moved = block[0];
+    const items = computeReorder(rows.filter(row => row.dataset.parent === moved.dataset.parent), moved);
+    if (items.length === 0) {
+      return;
+    }
+
+    status.textContent = 'Saving order…';
+
+    fetch('/admin/reorder', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-CSRF-Token': getCsrfToken()
+      },
+      body: JSON.stringify({ items })
+    })
+    .then(response => response.json())
+    .then(data => {
+      if (!data.success) {
+        throw new Error(data.error || 'Unknown error');
+      }
+
+      items.forEach(item => {
+        rows.find(row => row.dataset.slug === item.slug).dataset.order = item.order;
+      });
+      status.textContent = 'Order saved.';
+    })
+    .catch(error => {
+      console.error('Error updating order:', error);
+      before.forEach(row => tbody.appendChild(row));
+      status.textContent = `Failed to update order: ${error.message}`;
     });
   });
-  
-  const csrfToken = getCsrfToken();
-  
-  // Send POST request to server
-  fetch('/admin/reorder', {
+}
+
+/**
+ * Upload an image to the media library
+ * @param {File} file - Image file selected by the user
+ * @returns {Promise<Object>} Saved media item { name, url, size, type, mtime }
+ */
+function uploadMedia(file) {
+  return fetch('/admin/media/upload', {
     method: 'POST',
     headers: {
-      'Content-Type': 'application/json',
-      'X-CSRF-Token': csrfToken
+      'Content-Type': file.type || 'application/octet-stream',
+      'X-Filename': encodeURIComponent(file.name),
+      'Accept': 'application/json',
+      'X-CSRF-Token': getCsrfToken()
     },
-    body: JSON.stringify({ items })
+    body: file
+  })
+  .then(response => response.json())
+  .then(data => {
+    if (!data.success) {
+      throw new Error(data.error || 'Upload failed');
+    }
+    return data.media;
+  });
+}
+
+/**
+ * Build the markdown for an image
+ * @param {Object} media - Media item { name, url }
+ * @returns {string} Markdown image syntax with alt text derived from the file name
+ */
+function getImageMarkdown(media) {
+  const altText = media.name
+    .replace(/\.[^.]+$/, '')
+    .replace(/[-_]+/g, ' ')
+    .trim();
+  return `![${altText}](${media.url})`;
+}
+
+/**
+ * Confirm and delete an uploaded image
+ * @param {string} name - Media file name
+ */
+function confirmMediaDelete(name) {
+  const confirmed = confirm(`Are you sure you want to delete '${name}'? Posts that use it will show a broken image.`);
+  
+  if (!confirmed) {
+    return;
+  }
+  
+  fetch(`/admin/media/${encodeURIComponent(name)}`, {
+    method: 'DELETE',
+    headers: {
+      'Accept': 'application/json',
+      'X-CSRF-Token': getCsrfToken()
+    }
   })
   .then(response => response.json())
   .then(data => {
     if (data.success) {
-      // Show success message
-      alert('Order updated successfully');
-      // Reload the page to reflect changes
       window.location.reload();
     } else {
-      // Show error message
-      alert(`Failed to update order: ${data.error || 'Unknown error'}`);
+      alert(`Failed to delete image: ${data.error || 'Unknown error'}`);
     }
   })
   .catch(error => {
-    console.error('Error updating order:', error);
-    alert('Failed to update order. Please try again.');
+    console.error('Error deleting media:', error);
+    alert('Failed to delete image. Please try again.');
   });
 }
 
-// Set up event listeners when DOM is loaded
-document.addEventListener('DOMContentLoaded', function() {
-  // Blog entries reorder form
-  const blogForm = document.getElementById('reorder-form-blog');
-  if (blogForm) {
-    blogForm.addEventListener('submit', function(event) {
-      handleReorderSubmit(event, 'reorder-form-blog');
+/**
+ * Copy an image's markdown to the clipboard
+ * @param {HTMLElement} button - Button with data-name and data-url attributes
+ */
+function copyImageMarkdown(button) {
+  const markdown = getImageMarkdown({ name: button.dataset.name, url: button.dataset.url });
+  
+  navigator.clipboard.writeText(markdown)
+    .then(() => {
+      button.textContent = 'Copied!';
+      setTimeout(() => { button.textContent = 'Copy Markdown'; }, 1500);
+    })
+    .catch(() => {
+      prompt('Copy this markdown:', markdown);
     });
+}
+
+/**
+ * Handle media library upload form submission
+ * @param {Event} event - Form submit event
+ */
+function handleMediaUploadSubmit(event) {
+  event.preventDefault();
+  
+  const input = document.getElementById('media-file');
+  const status = document.getElementById('media-upload-status');
+  const files = Array.from(input.files);
+  
+  if (files.length === 0) {
+    status.textContent = 'Choose one or more images first.';
+    return;
   }
   
-  // Pages reorder form
-  const pagesForm = document.getElementById('reorder-form-pages');
-  if (pagesForm) {
-    pagesForm.addEventListener('submit', function(event) {
-      handleReorderSubmit(event, 'reorder-form-pages');
+  status.textContent = `Uploading ${files.length} file(s)…`;
+  
+  // Upload one at a time to keep memory use low on small devices
+  const errors = [];
+  files.reduce((chain, file) => chain.then(() => uploadMedia(file).catch(error => {
+    errors.push(`${file.name}: ${error.message}`);
+  })), Promise.resolve())
+  .then(() => {
+    if (errors.length > 0) {
+      status.textContent = `Some uploads failed. ${errors.join('; ')}`;
+    } else {
+      window.location.reload();
+    }
+  });
+}
+
+/**
+ * Navigation menu editor
+ * Keeps the menu as nested items ({ type, slug | url, label, hidden, children })
+ * and re-renders the list after every change
+ * @param {HTMLElement} container - Element the item list is rendered into
+ */
+function initMenuEditor(container) {
+  const data = JSON.parse(document.getElementById('menu-editor-data').textContent);
+  const status = document.getElementById('menu-editor-status');
+  const items = data.items;
+  const pages = data.pages;
+
+  /**
+   * Create an element with a class and optional text
+   */
+  function element(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) {
+      node.className = className;
+    }
+    if (text !== undefined) {
+      node.textContent = text;
+    }
+    return node;
+  }
+
+  /**
+   * Small button that changes the menu and re-renders it
+   */
+  function actionButton(text, title, action, disabled) {
+    const button = element('button', 'btn btn-secondary btn-small', text);
+    button.type = 'button';
+    button.title = title;
+    button.disabled = disabled;
+    button.addEventListener('click', () => {
+      action();
+      render();
+    });
+    return button;
+  }
+
+  /**
+   * Render one item and its dropdown items
+   * @param {Array} list - List the item belongs to
+   * @param {number} index - Position of the item in the list
+   * @param {Array|null} parentList - List holding the parent item, null for top-level items
+   * @param {number} parentIndex - Position of the parent item
+   */
+  function renderItem(list, index, parentList, parentIndex) {
+    const item = list[index];
+    const row = element('li', 'menu-item');
+    const fields = element('div', 'menu-item-fields');
+
+    fields.appendChild(element('span', 'content-type ' + (item.type === 'page' ? 'page' : 'blog'), item.type));
+
+    if (item.type === 'page') {
+      const select = element('select');
+      const missing = !pages.some(page => page.slug === item.slug);
+
+      if (missing) {
+        const option = element('option', null, `Missing page: ${item.slug}`);
+        option.value = item.slug;
+        select.appendChild(option);
+      }
+
+      pages.forEach(page => {
+        const option = element('option', null, `${'— '.repeat(page.depth)}${page.title}${page.published ? '' : ' (draft)'}`);
+        option.value = page.slug;
+        select.appendChild(option);
+      });
+
+      select.value = item.slug;
+      select.addEventListener('change', () => {
+        item.slug = select.value;
+      });
+      fields.appendChild(select);
+    } else {
+      const url = element('input');
+      url.type = 'text';
+      url.placeholder = 'https://example.com or /tag/news';
+      url.value = item.url || '';
+      url.addEventListener('input', () => {
+        item.url = url.value;
+      });
+      fields.appendChild(url);
+    }
+
+    const label = element('input');
+    label.type = 'text';
+    label.placeholder = item.type === 'page' ? 'Label (page title)' : 'Label';
+    label.value = item.label || '';
+    label.addEventListener('input', () => {
+      item.label = label.value;
+    });
+    fields.appendChild(label);
+
+    const hiddenLabel = element('label', 'menu-item-hidden');
+    const hidden = element('input');
+    hidden.type = 'checkbox';
+    hidden.checked = Boolean(item.hidden);
+    hidden.addEventListener('change', () => {
+      item.hidden = hidden.checked;
+    });
+    hiddenLabel.appendChild(hidden);
+    hiddenLabel.appendChild(document.createTextNode(' Hidden'));
+    fields.appendChild(hiddenLabel);
+
+    const buttons = element('div', 'action-buttons');
+    buttons.appendChild(actionButton('↑', 'Move up', () => {
+      list.splice(index - 1, 0, list.splice(index, 1)[0]);
+    }, index === 0));
+    buttons.appendChild(actionButton('↓', 'Move down', () => {
+      list.splice(index + 1, 0, list.splice(index, 1)[0]);
+    }, index === list.length - 1));
+    buttons.appendChild(actionButton('→', 'Move into the dropdown of the item above', () => {
+      list[index - 1].children.push(list.splice(index, 1)[0]);
+    }, parentList !== null || index === 0 || item.children.length > 0));
+    buttons.appendChild(actionButton('←', 'Move out of the dropdown', () => {
+      parentList.splice(parentIndex + 1, 0, list.splice(index, 1)[0]);
+    }, parentList === null));
+    buttons.appendChild(actionButton('Remove', 'Remove from the menu', () => {
+      list.splice(index, 1);
+    }, false));
+    buttons.lastChild.className = 'btn btn-danger btn-small';
+    fields.appendChild(buttons);
+
+    row.appendChild(fields);
+
+    if (item.children.length > 0) {
+      const children = element('ul', 'menu-editor-list');
+      item.children.forEach((child, childIndex) => {
+        children.appendChild(renderItem(item.children, childIndex, list, index));
+      });
+      row.appendChild(children);
+    }
+
+    return row;
+  }
+
+  /**
+   * Render the whole menu
+   */
+  function render() {
+    container.innerHTML = '';
+
+    if (items.length === 0) {
+      container.appendChild(element('p', 'empty-state', 'This menu has no items yet.'));
+      return;
+    }
+
+    const list = element('ul', 'menu-editor-list');
+    items.forEach((item, index) => {
+      list.appendChild(renderItem(items, index, null, 0));
     });
+    container.appendChild(list);
+  }
+
+  document.getElementById('menu-add-page').addEventListener('click', () => {
+    if (pages.length === 0) {
+      status.textContent = 'There are no pages yet.';
+      return;
+    }
+    items.push({ type: 'page', slug: pages[0].slug, label: '', hidden: false, children: [] });
+    render();
+  });
+
+  document.getElementById('menu-add-link').addEventListener('click', () => {
+    items.push({ type: 'link', url: '', label: '', hidden: false, children: [] });
+    render();
+  });
+
+  document.getElementById('menu-save').addEventListener('click', () => {
+    status.textContent = 'Saving…';
+
+    fetch(`/admin/menus/${encodeURIComponent(container.dataset.menu)}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+        'X-CSRF-Token': getCsrfToken()
+      },
+      body: JSON.stringify({ items })
+    })
+    .then(response => response.json())
+    .then(result => {
+      status.textContent = result.success ? 'Menu saved.' : `Failed to save menu: ${result.error || 'Unknown error'}`;
+    })
+    .catch(error => {
+      console.error('Error saving menu:', error);
+      status.textContent = 'Failed to save menu. Please try again.';
+    });
+  });
+
+  render();
+}
+
+// Set up event listeners when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  // Drag-and-drop ordering of blog entries and pages
+  document.querySelectorAll('.reorder-list').forEach(initDragReorder);
+  
+  // Media library upload form
+  const mediaForm = document.getElementById('media-upload-form');
+  if (mediaForm) {
+    mediaForm.addEventListener('submit', handleMediaUploadSubmit);
+  }
+  
+  // Navigation menu editor
+  const menuEditor = document.getElementById('menu-editor');
+  if (menuEditor) {
+    initMenuEditor(menuEditor);
   }
 });
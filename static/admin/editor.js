@@ -0,0 +1,255 @@
+/**
+ * Admin Editor Client-Side JavaScript
+ * Live markdown preview and image picker for the create and edit forms
+ * Requires getCsrfToken(), uploadMedia() and getImageMarkdown() from admin.js
+ */
+
+// Wait this long after the last keystroke before rendering the preview
+const PREVIEW_DEBOUNCE_MS = 400;
+
+/**
+ * Create a debounced version of a function
+ * @param {Function} fn - Function to debounce
+ * @param {number} wait - Delay in milliseconds
+ * @returns {Function} Debounced function
+ */
+function debounce(fn, wait) {
+  let timer = null;
+  return function(...args) {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn.apply(this, args), wait);
+  };
+}
+
+/**
+ * Build the preview document shown in the iframe
+ * @param {string} html - Rendered markdown HTML
+ * @param {string|null} stylesheet - URL of the active theme's stylesheet
+ * @returns {string} Complete HTML document
+ */
+function buildPreviewDocument(html, stylesheet) {
+  const styleLink = stylesheet ? `<link rel="stylesheet" href="${stylesheet}">` : '';
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  ${styleLink}
+  <style>body { padding: 1rem; margin: 0; } header, footer { display: none; }</style>
+</head>
+<body>
+  <main class="container">
+    <div class="post-content page-content">${html}</div>
+  </main>
+</body>
+</html>`;
+}
+
+/**
+ * Render the editor content through the server and update the preview pane
+ * @param {HTMLTextAreaElement} textarea - Markdown editor
+ * @param {HTMLIFrameElement} frame - Preview iframe
+ * @param {HTMLElement} status - Status indicator element
+ * @param {AbortSignal} signal - Aborted when a newer render replaces this one
+ */
+function updatePreview(textarea, frame, status, signal) {
+  status.textContent = 'Rendering…';
+
+  fetch('/admin/render', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      'X-CSRF-Token': getCsrfToken()
+    },
+    body: JSON.stringify({ content: textarea.value }),
+    signal
+  })
+  .then(response => response.json())
+  .then(data => {
+    if (data.success) {
+      frame.srcdoc = buildPreviewDocument(data.html, data.stylesheet);
+      status.textContent = 'Up to date';
+    } else {
+      status.textContent = `Preview failed: ${data.error || 'Unknown error'}`;
+    }
+  })
+  .catch(error => {
+    // A newer render took over; it sets the status itself
+    if (error.name === 'AbortError') {
+      return;
+    }
+    console.error('Error rendering preview:', error);
+    status.textContent = 'Preview unavailable';
+  });
+}
+
+/**
+ * Insert text at the cursor position of a textarea, replacing any selection
+ * @param {HTMLTextAreaElement} textarea - Target textarea
+ * @param {string} text - Text to insert
+ */
+function insertAtCursor(textarea, text) {
+  const start = textarea.selectionStart;
+  const end = textarea.selectionEnd;
+
+  textarea.value = textarea.value.slice(0, start) + text + textarea.value.slice(end);
+  textarea.selectionStart = textarea.selectionEnd = start + text.length;
+  textarea.focus();
+
+  // Let the live preview pick up the change
+  textarea.dispatchEvent(new Event('input'));
+}
+
+/**
+ * Show the uploaded images in the picker grid
+ * @param {HTMLElement} grid - Grid container
+ * @param {Array<Object>} media - Media items
+ * @param {Function} onSelect - Called with the chosen media item
+ */
+function renderMediaGrid(grid, media, onSelect) {
+  grid.innerHTML = '';
+
+  if (media.length === 0) {
+    grid.textContent = 'No images uploaded yet.';
+    return;
+  }
+
+  media.forEach(item => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'media-item';
+    button.title = `Insert ${item.name}`;
+
+    const image = document.createElement('img');
+    image.src = item.url;
+    image.alt = item.name;
+    image.loading = 'lazy';
+
+    const caption = document.createElement('span');
+    caption.className = 'media-name';
+    caption.textContent = item.name;
+
+    button.append(image, caption);
+    button.addEventListener('click', () => onSelect(item));
+    grid.appendChild(button);
+  });
+}
+
+/**
+ * Load the media library into the picker
+ * @param {HTMLElement} grid - Grid container
+ * @param {HTMLElement} status - Status element
+ * @param {Function} onSelect - Called with the chosen media item
+ */
+function loadMediaPicker(grid, status, onSelect) {
+  status.textContent = 'Loading images…';
+
+  fetch('/admin/media.json')
+    .then(response => response.json())
+    .then(data => {
+      if (!data.success) {
+        throw new Error(data.error || 'Unknown error');
+      }
+      status.textContent = '';
+      renderMediaGrid(grid, data.media, onSelect);
+    })
+    .catch(error => {
+      console.error('Error loading media:', error);
+      status.textContent = 'Failed to load images';
+    });
+}
+
+/**
+ * Set up the "Insert Image" action of the editor
+ * @param {HTMLTextAreaElement} textarea - Markdown editor
+ */
+function setupImagePicker(textarea) {
+  const openButton = document.getElementById('insert-image-button');
+  const picker = document.getElementById('media-picker');
+  const grid = document.getElementById('media-picker-grid');
+  const status = document.getElementById('media-picker-status');
+  const uploadInput = document.getElementById('media-picker-upload');
+  const closeButton = document.getElementById('media-picker-close');
+
+  if (!openButton || !picker) {
+    return;
+  }
+
+  const insertImage = (item) => {
+    picker.hidden = true;
+    insertAtCursor(textarea, getImageMarkdown(item));
+  };
+
+  openButton.addEventListener('click', function() {
+    picker.hidden = !picker.hidden;
+    if (!picker.hidden) {
+      loadMediaPicker(grid, status, insertImage);
+    }
+  });
+
+  closeButton.addEventListener('click', function() {
+    picker.hidden = true;
+  });
+
+  // Upload and insert straight away
+  uploadInput.addEventListener('change', function() {
+    const file = uploadInput.files[0];
+    if (!file) {
+      return;
+    }
+
+    status.textContent = `Uploading ${file.name}…`;
+    uploadMedia(file)
+      .then(insertImage)
+      .then(() => { status.textContent = ''; })
+      .catch(error => {
+        status.textContent = `Upload failed: ${error.message}`;
+      })
+      .finally(() => { uploadInput.value = ''; });
+  });
+}
+
+// Set up the live preview and image picker when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+  const textarea = document.getElementById('content');
+  const frame = document.getElementById('preview-frame');
+  const status = document.getElementById('preview-status');
+
+  if (!textarea) {
+    return;
+  }
+
+  setupImagePicker(textarea);
+
+  if (!frame || !status) {
+    return;
+  }
+
+  // Only the latest render may update the pane, so a slow response can't replace a newer one
+  let pending = null;
+
+  function cancelPreview() {
+    if (pending) {
+      pending.abort();
+      pending = null;
+    }
+  }
+
+  function renderPreview() {
+    cancelPreview();
+    pending = new AbortController();
+    updatePreview(textarea, frame, status, pending.signal);
+  }
+
+  const schedulePreview = debounce(renderPreview, PREVIEW_DEBOUNCE_MS);
+
+  textarea.addEventListener('input', function() {
+    // The content is changing, so a render still in flight is already out of date
+    cancelPreview();
+    status.textContent = 'Typing…';
+    schedulePreview();
+  });
+
+  // Render the initial content straight away
+  renderPreview();
+});
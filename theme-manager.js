@@ -1,6 +1,16 @@
 const fs = require('fs').promises;
 const path = require('path');
 
+// Map template names to actual files
+const TEMPLATE_MAP = {
+  'blogList': 'blog-list.ejs',
+  'blogPost': 'blog-post.ejs',
+  'page': 'page.ejs',
+  'search': 'search.ejs',
+  '404': '404.ejs',
+  'layout': 'layout.ejs'
+};
+
 /**
  * ThemeManager handles theme loading, validation, and rendering
  * Manages theme switching and applies EJS templates from the active theme
@@ -166,6 +176,40 @@ class ThemeManager {
     }
   }
 
+  /**
+   * Check whether the active theme provides an optional template
+   * @param {string} templateName - Name of template (without .ejs extension)
+   * @returns {Promise<boolean>} True if the template file exists
+   */
+  async hasTemplate(templateName) {
+    const activeTheme = await this.getActiveTheme();
+    const templateFile = TEMPLATE_MAP[templateName] || `${templateName}.ejs`;
+    
+    try {
+      await fs.access(path.join(this.themesPath, activeTheme, templateFile));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Render a template from the active theme to a string (used by the static exporter)
+   * @param {string} templateName - Name of template to use (without .ejs extension)
+   * @param {Object} data - Data to pass to template
+   * @returns {Promise<string>} Rendered HTML
+   */
+  async renderToString(templateName, data) {
+    const activeTheme = await this.getActiveTheme();
+    this.app.set('views', path.join(this.themesPath, activeTheme));
+    
+    const templateFile = TEMPLATE_MAP[templateName] || `${templateName}.ejs`;
+    
+    return new Promise((resolve, reject) => {
+      this.app.render(templateFile, data, (error, html) => (error ? reject(error) : resolve(html)));
+    });
+  }
+
   /**
    * Render content using EJS templates from active theme
    * @param {string} templateName - Name of template to use (without .ejs extension)
@@ -181,16 +225,7 @@ class ThemeManager {
       // Set views directory to active theme
       this.app.set('views', themePath);
       
-      // Map template names to actual files
-      const templateMap = {
-        'blogList': 'blog-list.ejs',
-        'blogPost': 'blog-post.ejs',
-        'page': 'page.ejs',
-        '404': '404.ejs',
-        'layout': 'layout.ejs'
-      };
-
-      const templateFile = templateMap[templateName] || `${templateName}.ejs`;
+      const templateFile = TEMPLATE_MAP[templateName] || `${templateName}.ejs`;
       
       // Render template
       res.render(templateFile, data);
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Local account management
+ * Creates the username and password accounts used to sign in without an external provider,
+ * e.g. to set up the first admin on a machine without internet access
+ *
+ * Usage: npm run users -- <command>
+ *   list                            List accounts
+ *   add <username> <email> [name]   Create an account (prompts for the password)
+ *   passwd <username>               Set a new password (prompts for the password)
+ *   remove <username>               Delete an account
+ *
+ * Passwords are read from the terminal without echo, or from standard input when piped.
+ * The account's email must also be an allowed user, unless it is used to claim a fresh install.
+ */
+const path = require('path');
+const readline = require('readline');
+const LocalAccounts = require('./local-accounts');
+const settingsManager = require('./settings-manager');
+
+/**
+ * Read a password from the terminal without echoing it, or a line from piped input
+ * @param {string} prompt - Prompt text
+ * @returns {Promise<string>}
+ */
+function readPassword(prompt) {
+  return new Promise(resolve => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+
+    if (process.stdin.isTTY) {
+      // Print the prompt, then suppress echo of the typed characters
+      rl._writeToOutput = text => {
+        if (text === prompt) {
+          process.stdout.write(text);
+        }
+      };
+    }
+
+    rl.question(prompt, answer => {
+      rl.close();
+      if (process.stdin.isTTY) {
+        process.stdout.write('\n');
+      }
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Ask for a new password twice when typed at a terminal
+ * @returns {Promise<string>}
+ */
+async function readNewPassword() {
+  const password = await readPassword('Password: ');
+
+  if (process.stdin.isTTY && password !== await readPassword('Repeat password: ')) {
+    throw new Error('Passwords do not match');
+  }
+
+  return password;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const localAccounts = new LocalAccounts(path.join(__dirname, 'config', 'users.json'));
+
+  if (command === 'list') {
+    const accounts = await localAccounts.list();
+    if (accounts.length === 0) {
+      console.log('No local accounts');
+    }
+    for (const account of accounts) {
+      console.log(`${account.username}\t${account.email}\t${account.name}`);
+    }
+  } else if (command === 'add' && args.length >= 2) {
+    const [username, email, ...name] = args;
+    const result = await localAccounts.add({ username, email, name: name.join(' '), password: await readNewPassword() });
+    if (!result.valid) {
+      throw new Error(result.error);
+    }
+    console.log(`Created account ${username.toLowerCase()}`);
+
+    await settingsManager.load();
+    if (!settingsManager.hasOwner()) {
+      console.log('The site has no owner yet: sign in with this account to claim it');
+    } else if (!settingsManager.isUserAllowed(email)) {
+      console.warn(`Note: ${email} is not in the allowed users list, so this account can't sign in until it is added in Settings`);
+    }
+  } else if (command === 'passwd' && args.length === 1) {
+    const result = await localAccounts.setPassword(args[0], await readNewPassword());
+    if (!result.valid) {
+      throw new Error(result.error);
+    }
+    console.log(`Password changed for ${args[0].toLowerCase()}`);
+  } else if (command === 'remove' && args.length === 1) {
+    if (!(await localAccounts.remove(args[0]))) {
+      throw new Error('Account not found');
+    }
+    console.log(`Deleted account ${args[0].toLowerCase()}`);
+  } else {
+    throw new Error('Usage: npm run users -- list | add <username> <email> [name] | passwd <username> | remove <username>');
+  }
+}
+
+main().catch(error => {
+  console.error(`[ERROR] ${new Date().toISOString()} - Users: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,201 @@
+const permalinks = require('./permalinks');
+
+/**
+ * ViewBuilder - Assembles the template data for public routes
+ * Shared by the web server and the static site exporter so both render
+ * the same pages from the same data
+ */
+class ViewBuilder {
+  constructor(contentIndexer, markdownHandler, settingsManager, menuManager, renderCache = null) {
+    this.contentIndexer = contentIndexer;
+    this.markdownHandler = markdownHandler;
+    this.settingsManager = settingsManager;
+    this.menuManager = menuManager;
+    this.renderCache = renderCache;
+  }
+
+  /**
+   * Template variables shown on every page (navigation, sidebar, footer)
+   * `pages` holds the top-level pages and `pageTree` all pages
+   * as nested `{ item, children }` nodes. `permalink(item)` gives the URL of any content
+   * item for links in templates, and `menu(name)` the links of a navigation menu
+   * (`{ label, url, external, children }`, where children are dropdown links).
+   * @returns {Object} { siteName, footerText, pages, pageTree, tagCloud, allCategories, permalink, menu }
+   */
+  getSiteLocals() {
+    const pageTree = this.contentIndexer.getPageTree();
+
+    return {
+      permalink: item => this.getContentUrl(item),
+      menu: name => this.menuManager.resolve(name),
+      siteName: this.settingsManager.getSiteName(),
+      footerText: this.settingsManager.getFooterText(),
+      pages: pageTree.map(node => node.item),
+      pageTree,
+      tagCloud: this.contentIndexer.getTagCloud(),
+      allCategories: this.contentIndexer.getCategories()
+    };
+  }
+
+  /**
+   * Get the public URL path of a content item, following the permalink pattern for blog entries
+   */
+  getContentUrl(item) {
+    return permalinks.getContentUrl(item, this.settingsManager.getPermalinkPattern());
+  }
+
+  /**
+   * Get the URL of a page of the home blog list
+   */
+  getBlogListPageUrl(pageNumber) {
+    return pageNumber <= 1 ? '/' : `/blog/page/${pageNumber}`;
+  }
+
+  /**
+   * Split entries into pages for the blog list
+   * @returns {Object|null} Entries for the requested page and pagination variables, or null if out of range
+   */
+  paginate(entries, pageNumber) {
+    const perPage = this.settingsManager.getPostsPerPage();
+    const totalPages = Math.max(1, Math.ceil(entries.length / perPage));
+
+    if (!Number.isInteger(pageNumber) || pageNumber < 1 || pageNumber > totalPages) {
+      return null;
+    }
+
+    const start = (pageNumber - 1) * perPage;
+
+    return {
+      entries: entries.slice(start, start + perPage),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages,
+        totalEntries: entries.length,
+        perPage,
+        prevPage: pageNumber > 1 ? pageNumber - 1 : null,
+        nextPage: pageNumber < totalPages ? pageNumber + 1 : null,
+        prevUrl: pageNumber > 1 ? this.getBlogListPageUrl(pageNumber - 1) : null,
+        nextUrl: pageNumber < totalPages ? this.getBlogListPageUrl(pageNumber + 1) : null
+      }
+    };
+  }
+
+  /**
+   * Data for one page of the home blog list
+   * @param {number} pageNumber - 1-based page number
+   * @returns {Object|null} blogList template data, or null if the page is out of range
+   */
+  getBlogListView(pageNumber) {
+    const page = this.paginate(this.contentIndexer.getBlogEntries(), pageNumber);
+
+    if (!page) {
+      return null;
+    }
+
+    return {
+      title: pageNumber > 1 ? `Blog - Page ${pageNumber}` : 'Blog',
+      entries: page.entries,
+      pagination: page.pagination
+    };
+  }
+
+  /**
+   * Data for a tag or category archive
+   * @param {string} kind - 'tag' or 'category'
+   * @param {string} slug - Slugified tag or category name
+   * @returns {Object|null} blogList template data, or null if the term doesn't exist
+   */
+  getArchiveView(kind, slug) {
+    const terms = kind === 'tag' ? this.contentIndexer.getTagCloud() : this.contentIndexer.getCategories();
+    const term = terms.find(t => t.slug === slug);
+
+    if (!term) {
+      return null;
+    }
+
+    const label = kind === 'tag' ? 'Tagged' : 'Category';
+    const entries = kind === 'tag'
+      ? this.contentIndexer.getBlogEntriesByTag(slug)
+      : this.contentIndexer.getBlogEntriesByCategory(slug);
+
+    return {
+      title: `${label}: ${term.name}`,
+      heading: `${label}: ${term.name}`,
+      archive: { kind, name: term.name, slug: term.slug },
+      entries
+    };
+  }
+
+  /**
+   * robots.txt content: the configured rules plus the sitemap location
+   * @param {string} baseUrl - Absolute site URL without trailing slash
+   * @returns {string} robots.txt content
+   */
+  getRobotsTxt(baseUrl) {
+    let robotsTxt = this.settingsManager.getRobotsTxt();
+
+    if (!/^sitemap:/im.test(robotsTxt)) {
+      if (robotsTxt && !robotsTxt.endsWith('\n')) {
+        robotsTxt += '\n';
+      }
+      robotsTxt += `Sitemap: ${baseUrl}/sitemap.xml\n`;
+    }
+
+    return robotsTxt;
+  }
+
+  /**
+   * Load and render a content item into the theme template and data used to display it
+   * Rendered markdown is reused from the render cache while the file is unchanged
+   * @returns {Promise<{template: string, data: Object}>}
+   */
+  async getContentView(contentItem) {
+    let rendered = this.renderCache ? this.renderCache.get(contentItem.slug, contentItem.mtime) : undefined;
+
+    if (!rendered) {
+      const parsed = await this.markdownHandler.parseFile(contentItem.filePath);
+      rendered = {
+        metadata: parsed.metadata,
+        html: this.markdownHandler.renderToHtml(parsed.content)
+      };
+
+      if (this.renderCache) {
+        this.renderCache.set(contentItem.slug, contentItem.mtime, rendered);
+      }
+    }
+
+    const { metadata, html } = rendered;
+
+    if (contentItem.type === 'blog') {
+      return {
+        template: 'blogPost',
+        data: {
+          title: metadata.title || contentItem.title,
+          date: contentItem.date,
+          tags: contentItem.tags.map(name => ({ name, slug: this.contentIndexer.slugifyTerm(name) })),
+          categories: contentItem.categories.map(name => ({ name, slug: this.contentIndexer.slugifyTerm(name) })),
+          content: html,
+          metadata: metadata
+        }
+      };
+    }
+
+    // Nested pages: links up the hierarchy for breadcrumbs, and down for sub-navigation
+    const breadcrumbs = this.contentIndexer.getAncestors(contentItem)
+      .map(ancestor => ({ title: ancestor.title, url: this.getContentUrl(ancestor) }));
+
+    return {
+      template: 'page',
+      data: {
+        title: metadata.title || contentItem.title,
+        content: html,
+        metadata: metadata,
+        breadcrumbs,
+        parent: this.contentIndexer.getParent(contentItem),
+        children: this.contentIndexer.getChildren(contentItem)
+      }
+    };
+  }
+}
+
+module.exports = ViewBuilder;